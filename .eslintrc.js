@@ -37,6 +37,7 @@ module.exports = {
     'URL': 'readonly',
     'URLSearchParams': 'readonly',
     'CompressionStream': 'readonly',
-    'DecompressionStream': 'readonly'
+    'DecompressionStream': 'readonly',
+    'WebSocketPair': 'readonly'
   }
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { createLogger } from '../utils/logger.js';
+import { constantTimeEquals } from '../utils/crypto.js';
+
+const logger = createLogger('AdminApi');
+
+// Bearer-token protected /admin/* routes for changing runtime settings without a redeploy
+export class AdminApi {
+  constructor(config, {
+    loadBalancer,
+    settingsStore,
+    earlyHintsManager,
+    debugMode,
+    maintenanceMode,
+    errorPages,
+    canaryRouter
+  }) {
+    this.token = config.ADMIN_TOKEN;
+    this.loadBalancer = loadBalancer;
+    this.settingsStore = settingsStore;
+    this.earlyHintsManager = earlyHintsManager;
+    this.debugMode = debugMode;
+    this.maintenanceMode = maintenanceMode;
+    this.errorPages = errorPages;
+    this.canaryRouter = canaryRouter;
+    this.routes = [
+      {
+        method: 'GET',
+        pattern: /^\/admin\/load-balancer$/,
+        handler: () => this.loadBalancer.getStats()
+      },
+      {
+        method: 'PUT',
+        pattern: /^\/admin\/load-balancer\/algorithm$/,
+        handler: (body) => this.updateLoadBalancer(() => this.loadBalancer.setAlgorithm(body.algorithm))
+      },
+      {
+        method: 'PUT',
+        pattern: /^\/admin\/load-balancer\/weights$/,
+        handler: (body) => this.updateLoadBalancer(() => {
+          Object.entries(body.weights || {}).forEach(([origin, weight]) =>
+            this.loadBalancer.setWeight(origin, Number(weight))
+          );
+        })
+      },
+      {
+        method: 'PUT',
+        pattern: /^\/admin\/load-balancer\/geographic$/,
+        handler: (body) => this.updateLoadBalancer(() => {
+          Object.entries(body.mappings || {}).forEach(([edgeColo, origin]) =>
+            this.loadBalancer.addGeographicMapping(edgeColo.toUpperCase(), origin)
+          );
+        })
+      },
+      {
+        method: 'DELETE',
+        pattern: /^\/admin\/load-balancer\/geographic\/([A-Za-z]+)$/,
+        handler: (_body, match) => this.updateLoadBalancer(() =>
+          this.loadBalancer.removeGeographicMapping(match[1].toUpperCase())
+        )
+      },
+      {
+        method: 'GET',
+        pattern: /^\/admin\/canary$/,
+        handler: () => this.canaryRouter.getStatus()
+      },
+      {
+        method: 'PUT',
+        pattern: /^\/admin\/canary$/,
+        handler: (body) => this.updateCanary(() => this.canaryRouter.start(body))
+      },
+      {
+        method: 'POST',
+        pattern: /^\/admin\/canary\/(promote|abort)$/,
+        handler: (_body, match) => this.updateCanary(() => this.canaryRouter[match[1]]())
+      },
+      {
+        method: 'DELETE',
+        pattern: /^\/admin\/canary$/,
+        handler: () => this.updateCanary(() => this.canaryRouter.clear())
+      },
+      {
+        method: 'GET',
+        pattern: /^\/admin\/early-hints$/,
+        handler: (_body, _match, _context, url) => this.getEarlyHints(url)
+      },
+      {
+        method: 'DELETE',
+        pattern: /^\/admin\/early-hints$/,
+        handler: async (_body, _match, _context, url) => {
+          const path = this.requirePath(url);
+          await this.earlyHintsManager.clearHints(path);
+          return { path, hints: [] };
+        }
+      },
+      {
+        method: 'POST',
+        pattern: /^\/admin\/debug-token$/,
+        handler: (body) => this.debugMode.createToken(body.ttl ?? 900)
+      },
+      {
+        method: 'GET',
+        pattern: /^\/admin\/maintenance$/,
+        handler: () => this.maintenanceMode.getStatus()
+      },
+      {
+        method: 'PUT',
+        pattern: /^\/admin\/maintenance$/,
+        handler: async (body, _match, context) => {
+          await this.updateSettings('maintenance', this.maintenanceMode, () => this.maintenanceMode.update(body));
+          logger.info('maintenance_updated', { requestId: context.requestId, enabled: this.maintenanceMode.enabled });
+          return this.maintenanceMode.getStatus();
+        }
+      },
+      {
+        method: 'GET',
+        pattern: /^\/admin\/error-pages$/,
+        handler: () => this.errorPages.getStatus()
+      },
+      {
+        method: 'PUT',
+        pattern: /^\/admin\/error-pages\/([a-z0-9]+)$/,
+        handler: async (body, match) => {
+          await this.updateSettings('errorPages', this.errorPages, () => this.errorPages.setPage(match[1], body));
+          return this.errorPages.getStatus();
+        }
+      },
+      {
+        method: 'DELETE',
+        pattern: /^\/admin\/error-pages\/([a-z0-9]+)$/,
+        handler: async (_body, match) => {
+          await this.updateSettings('errorPages', this.errorPages, () => this.errorPages.removePage(match[1]));
+          return this.errorPages.getStatus();
+        }
+      }
+    ];
+  }
+
+  async handle(request, context) {
+    if (!this.token) {
+      return this.json({ error: 'Admin API is disabled, set the ADMIN_TOKEN secret' }, 404, context);
+    }
+
+    if (!this.isAuthorized(request)) {
+      return this.json({ error: 'Unauthorized' }, 401, context, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    const url = new URL(request.url);
+    const { pathname } = url;
+    const route = this.routes.find(r => r.method === request.method && r.pattern.test(pathname));
+
+    if (!route) {
+      return this.json({ error: `No admin route for ${request.method} ${pathname}` }, 404, context);
+    }
+
+    try {
+      const body = ['PUT', 'POST'].includes(request.method) ? await this.readBody(request) : {};
+      const result = await route.handler(body, pathname.match(route.pattern), context, url);
+      return this.json(result, 200, context);
+    } catch (error) {
+      logger.warn('admin_request_rejected', {
+        requestId: context.requestId,
+        method: request.method,
+        path: pathname,
+        reason: error.message
+      });
+      return this.json({ error: error.message }, 400, context);
+    }
+  }
+
+  isAuthorized(request) {
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match !== null && constantTimeEquals(match[1].trim(), this.token);
+  }
+
+  async readBody(request) {
+    try {
+      return await request.json();
+    } catch {
+      throw new Error('Request body must be valid JSON');
+    }
+  }
+
+  async getEarlyHints(url) {
+    const path = this.requirePath(url);
+    const hints = await this.earlyHintsManager.getHints(path);
+
+    return {
+      path,
+      hints,
+      link: hints.map(hint => this.earlyHintsManager.formatLink(hint)).join(', ')
+    };
+  }
+
+  requirePath(url) {
+    const path = url.searchParams.get('path');
+    if (!path || !path.startsWith('/')) {
+      throw new Error('Query parameter "path" must be an absolute path, e.g. ?path=/');
+    }
+    return path;
+  }
+
+  async updateLoadBalancer(change) {
+    await this.updateSettings('loadBalancer', this.loadBalancer, change);
+    return this.loadBalancer.getStats();
+  }
+
+  async updateCanary(change) {
+    await this.updateSettings('canary', this.canaryRouter, change);
+    return this.canaryRouter.getStatus();
+  }
+
+  // Apply a change, persist it for other isolates, and roll back locally if persisting fails
+  async updateSettings(name, component, change) {
+    const previous = component.exportSettings();
+
+    try {
+      change();
+      await this.settingsStore.put(name, component.exportSettings());
+    } catch (error) {
+      component.applySettings(previous);
+      throw error;
+    }
+  }
+
+  json(data, status, context, extraHeaders = {}) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'X-Request-ID': context.requestId,
+        'X-Ping-Booster': 'admin',
+        ...extraHeaders
+      }
+    });
+  }
+}
@@ -0,0 +1,62 @@
+import { constantTimeEquals, hmacSha256Hex } from '../utils/crypto.js';
+
+export const DEBUG_HEADER = 'X-Ping-Booster-Debug';
+export const DEBUG_TRACE_HEADER = 'X-Ping-Booster-Debug-Trace';
+
+// Decides whether a request may see its decision trace. The X-Ping-Booster-Debug header carries
+// either the admin token or a short-lived "<expires>.<hmac>" token minted by /admin/debug-token,
+// so support staff can debug without holding the admin token.
+export class DebugMode {
+  constructor(config) {
+    this.adminToken = config.ADMIN_TOKEN;
+    this.signingKey = config.DEBUG_SIGNING_KEY;
+    this.maxTokenTtl = 86400; // seconds
+  }
+
+  get enabled() {
+    return Boolean(this.adminToken || this.signingKey);
+  }
+
+  async isAuthorized(request) {
+    const value = (request.headers.get(DEBUG_HEADER) || '').trim();
+    if (!value || !this.enabled) {
+      return false;
+    }
+
+    if (this.adminToken && constantTimeEquals(value, this.adminToken)) {
+      return true;
+    }
+
+    return this.verifyToken(value);
+  }
+
+  async createToken(ttl = 900) {
+    if (!this.signingKey) {
+      throw new Error('Signed debug tokens need the DEBUG_SIGNING_KEY secret');
+    }
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > this.maxTokenTtl) {
+      throw new Error(`ttl must be between 1 and ${this.maxTokenTtl} seconds`);
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    return {
+      header: DEBUG_HEADER,
+      token: `${expires}.${await hmacSha256Hex(this.signingKey, String(expires))}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  async verifyToken(value) {
+    const match = value.match(/^(\d+)\.([0-9a-f]{64})$/);
+    if (!this.signingKey || !match) {
+      return false;
+    }
+
+    const expires = Number(match[1]);
+    if (expires * 1000 < Date.now()) {
+      return false;
+    }
+
+    return constantTimeEquals(match[2], await hmacSha256Hex(this.signingKey, match[1]));
+  }
+}
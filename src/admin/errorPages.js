@@ -0,0 +1,161 @@
+// Error pages the worker itself produces, per status class, as HTML or JSON depending on Accept.
+// Admins replace the templates through /admin/error-pages; they are kept in CONFIG_STORE so every
+// isolate renders the same page. Templates use {{status}}, {{title}}, {{message}} and {{errorId}}.
+export const PAGE_NAMES = ['4xx', '5xx', 'maintenance'];
+
+const MAX_TEMPLATE_LENGTH = 65536;
+
+const TITLES = {
+  400: 'Bad Request',
+  404: 'Not Found',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+const DEFAULT_MESSAGES = {
+  '4xx': 'The request could not be completed.',
+  '5xx': 'Something went wrong on our side. Please try again in a moment.',
+  maintenance: 'We are performing scheduled maintenance. Please try again shortly.'
+};
+
+const DEFAULT_HTML = '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+  '<meta name="viewport" content="width=device-width, initial-scale=1"><title>{{status}} {{title}}</title>' +
+  '</head><body><h1>{{title}}</h1><p>{{message}}</p><p>Error ID: <code>{{errorId}}</code></p></body></html>';
+
+const DEFAULT_JSON = '{"error":"{{title}}","message":"{{message}}","status":{{status}},"errorId":"{{errorId}}"}';
+
+export class ErrorPages {
+  constructor() {
+    this.pages = {};
+  }
+
+  applySettings(settings) {
+    this.pages = {};
+    PAGE_NAMES.forEach(name => {
+      if (settings?.pages?.[name]) {
+        this.pages[name] = { ...settings.pages[name] };
+      }
+    });
+  }
+
+  exportSettings() {
+    return { pages: JSON.parse(JSON.stringify(this.pages)) };
+  }
+
+  // Update one page's templates; fields never set fall back to the built-in default
+  setPage(name, { html, json, message }) {
+    this.requirePageName(name);
+    if (html === undefined && json === undefined && message === undefined) {
+      throw new Error('Provide at least one of html, json or message');
+    }
+
+    const page = { ...this.pages[name] };
+    if (html !== undefined) {
+      this.validateTemplate('html', html);
+      page.html = html;
+    }
+    if (json !== undefined) {
+      this.validateTemplate('json', json);
+      // Catch templates that would render invalid JSON before any client sees them
+      try {
+        JSON.parse(this.fill(json, { status: 500, title: 'Title', message: 'Message', errorId: 'id' }, jsonEscape));
+      } catch (error) {
+        throw new Error(`json template does not render valid JSON: ${error.message}`);
+      }
+      page.json = json;
+    }
+    if (message !== undefined) {
+      this.validateTemplate('message', message);
+      page.message = message;
+    }
+
+    this.pages[name] = page;
+  }
+
+  removePage(name) {
+    this.requirePageName(name);
+    delete this.pages[name];
+  }
+
+  requirePageName(name) {
+    if (!PAGE_NAMES.includes(name)) {
+      throw new Error(`Error page must be one of: ${PAGE_NAMES.join(', ')}`);
+    }
+  }
+
+  validateTemplate(field, value) {
+    if (typeof value !== 'string' || value.length === 0 || value.length > MAX_TEMPLATE_LENGTH) {
+      throw new Error(`${field} must be a non-empty string of at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+  }
+
+  // options.page picks a page other than the status class (maintenance); options.headers are kept
+  render(request, status, errorId, { page, message, headers = {} } = {}) {
+    const name = page || (status >= 500 ? '5xx' : '4xx');
+    const custom = this.pages[name] || {};
+    const values = {
+      status,
+      title: TITLES[status] || 'Error',
+      message: message || custom.message || DEFAULT_MESSAGES[name],
+      errorId
+    };
+
+    const html = this.prefersHtml(request);
+    const body = html ?
+      this.fill(custom.html || DEFAULT_HTML, values, htmlEscape) :
+      this.fill(custom.json || DEFAULT_JSON, values, jsonEscape);
+
+    const responseHeaders = new Headers(headers);
+    if (!responseHeaders.has('X-Ping-Booster')) {
+      responseHeaders.set('X-Ping-Booster', 'error');
+    }
+    responseHeaders.set('Content-Type', html ? 'text/html; charset=utf-8' : 'application/json');
+    responseHeaders.set('Cache-Control', 'no-store');
+    responseHeaders.set('X-Error-ID', errorId);
+
+    return new Response(body, { status, headers: responseHeaders });
+  }
+
+  // HTML only when the client ranks it above JSON; API clients sending */* get JSON
+  prefersHtml(request) {
+    const accept = request?.headers.get('Accept') || '';
+    return this.quality(accept, 'text/html') > this.quality(accept, 'application/json');
+  }
+
+  quality(accept, type) {
+    for (const part of accept.split(',')) {
+      const [mediaType, ...params] = part.trim().toLowerCase().split(';');
+      if (mediaType.trim() === type) {
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return q ? Number(q.slice(2)) || 0 : 1;
+      }
+    }
+    return 0;
+  }
+
+  fill(template, values, escape) {
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      (key in values ? escape(String(values[key])) : placeholder)
+    );
+  }
+
+  getStatus() {
+    return PAGE_NAMES.map(name => ({
+      page: name,
+      custom: Boolean(this.pages[name]),
+      formats: Object.keys(this.pages[name] || {})
+    }));
+  }
+}
+
+function htmlEscape(value) {
+  return value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Contents of a JSON string literal, without the quotes
+function jsonEscape(value) {
+  return JSON.stringify(value).slice(1, -1);
+}
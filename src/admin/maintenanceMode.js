@@ -0,0 +1,100 @@
+import { constantTimeEquals } from '../utils/crypto.js';
+
+// Maintenance switch set through /admin/maintenance and shared through CONFIG_STORE. While it is on,
+// every non-admin path gets a 503 unless the client's IP or one of the allowlisted headers matches.
+export class MaintenanceMode {
+  constructor() {
+    this.applySettings(null);
+  }
+
+  applySettings(settings) {
+    this.enabled = settings?.enabled ?? false;
+    this.retryAfter = settings?.retryAfter ?? 300;
+    this.message = settings?.message ?? null;
+    this.allowIps = settings?.allowIps ?? [];
+    this.allowHeaders = settings?.allowHeaders ?? {};
+    this.since = settings?.since ?? null;
+  }
+
+  exportSettings() {
+    return {
+      enabled: this.enabled,
+      retryAfter: this.retryAfter,
+      message: this.message,
+      allowIps: [...this.allowIps],
+      allowHeaders: { ...this.allowHeaders },
+      since: this.since
+    };
+  }
+
+  // Partial update from the admin API; fields left out keep their current value
+  update({ enabled, retryAfter, message, allowIps, allowHeaders }) {
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        throw new Error('enabled must be true or false');
+      }
+      if (enabled && !this.enabled) {
+        this.since = Date.now();
+      }
+      this.enabled = enabled;
+    }
+
+    if (retryAfter !== undefined) {
+      if (!Number.isInteger(retryAfter) || retryAfter < 1 || retryAfter > 86400) {
+        throw new Error('retryAfter must be between 1 and 86400 seconds');
+      }
+      this.retryAfter = retryAfter;
+    }
+
+    if (message !== undefined) {
+      if (message !== null && typeof message !== 'string') {
+        throw new Error('message must be a string or null');
+      }
+      this.message = message;
+    }
+
+    if (allowIps !== undefined) {
+      if (!Array.isArray(allowIps) || !allowIps.every(ip => typeof ip === 'string' && ip.length > 0)) {
+        throw new Error('allowIps must be an array of IP addresses');
+      }
+      this.allowIps = allowIps;
+    }
+
+    if (allowHeaders !== undefined) {
+      const entries = Object.entries(allowHeaders || {});
+      if (!allowHeaders || typeof allowHeaders !== 'object' || Array.isArray(allowHeaders) ||
+        !entries.every(([, value]) => typeof value === 'string' && value.length >= 16)) {
+        throw new Error('allowHeaders must map header names to secret values of at least 16 characters');
+      }
+      this.allowHeaders = allowHeaders;
+    }
+  }
+
+  // Whether the request is turned away; admin paths are never routed here
+  blocks(request, context) {
+    return this.enabled && !this.isAllowlisted(request, context);
+  }
+
+  isAllowlisted(request, context) {
+    if (context.clientIP && this.allowIps.includes(context.clientIP)) {
+      return true;
+    }
+
+    return Object.entries(this.allowHeaders).some(([name, secret]) => {
+      const value = request.headers.get(name);
+      return value !== null && constantTimeEquals(value.trim(), secret);
+    });
+  }
+
+  // Header secrets are never echoed back, only which headers are accepted
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      since: this.since ? new Date(this.since).toISOString() : null,
+      retryAfter: this.retryAfter,
+      message: this.message,
+      allowIps: this.allowIps,
+      allowHeaders: Object.keys(this.allowHeaders)
+    };
+  }
+}
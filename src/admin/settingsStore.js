@@ -0,0 +1,39 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SettingsStore');
+
+// Runtime settings changed through the admin API, persisted in KV so every isolate sees them
+export class SettingsStore {
+  constructor(kvStore) {
+    this.kvStore = kvStore;
+    this.prefix = 'settings:';
+  }
+
+  get enabled() {
+    return Boolean(this.kvStore);
+  }
+
+  async get(name) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      return await this.kvStore.get(this.prefix + name, 'json');
+    } catch (error) {
+      logger.error('settings_load_failed', { name, error });
+      return null;
+    }
+  }
+
+  async put(name, value) {
+    if (!this.enabled) {
+      throw new Error('CONFIG_STORE is not bound, settings cannot be persisted');
+    }
+
+    await this.kvStore.put(this.prefix + name, JSON.stringify({
+      ...value,
+      updatedAt: Date.now()
+    }));
+  }
+}
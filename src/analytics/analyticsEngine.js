@@ -1,17 +1,40 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AnalyticsEngine');
+
 export class AnalyticsEngine {
-  constructor(kvStore, analyticsEngine) {
+  constructor(kvStore, analyticsEngine, config = {}, monitor = null) {
     this.kvStore = kvStore;
     this.analyticsEngine = analyticsEngine;
+    this.config = config;
+    this.monitor = monitor;
     this.metrics = {
       requests: 0,
       cacheHits: 0,
       cacheMisses: 0,
+      staleIfErrorServed: 0,
       errors: 0,
       totalLatency: 0,
       countries: new Map(),
       userAgents: new Map(),
       origins: new Map(),
-      statusCodes: new Map()
+      statusCodes: new Map(),
+      hedgedRequests: 0,
+      hedgeWins: 0,
+      coalescedRequests: 0,
+      crossIsolateCoalesced: 0,
+      websocketSessions: 0,
+      websocketMessages: 0,
+      websocketDuration: 0,
+      websocketRttTotal: 0,
+      websocketRttSamples: 0,
+      rateLimited: 0,
+      rateLimitedCountries: new Map(),
+      rateLimitedColos: new Map(),
+      canaryRequests: new Map(),
+      canaryErrors: new Map(),
+      canaryLatency: new Map(),
+      healthTransitions: new Map()
     };
     this.startTime = Date.now();
   }
@@ -47,15 +70,20 @@ export class AnalyticsEngine {
       // Store detailed metrics in KV for longer-term analysis
       await this.storeDetailedMetrics(requestData);
 
-      console.log(`Recorded analytics for request ${requestData.requestId}: ${requestData.duration}ms to ${requestData.targetOrigin}`);
+      logger.debug('request_recorded', {
+        requestId: requestData.requestId,
+        duration: requestData.duration,
+        targetOrigin: requestData.targetOrigin
+      });
 
     } catch (error) {
-      console.error('Analytics recording error:', error);
+      logger.error('record_request_failed', { requestId: requestData.requestId, error });
     }
   }
 
   async recordCacheHit(context) {
     this.metrics.cacheHits++;
+    this.shareMetrics({ cacheHits: 1 });
 
     if (this.analyticsEngine) {
       await this.analyticsEngine.writeDataPoint({
@@ -66,8 +94,153 @@ export class AnalyticsEngine {
     }
   }
 
+  // An expired copy served because the origin failed
+  async recordStaleIfError(context, reason) {
+    this.metrics.staleIfErrorServed++;
+    this.shareMetrics({ staleIfErrorServed: 1 });
+
+    try {
+      if (this.analyticsEngine) {
+        await this.analyticsEngine.writeDataPoint({
+          blobs: [context.requestId, 'stale_if_error', context.edgeColo, reason],
+          doubles: [Date.now() - context.startTime],
+          indexes: ['stale_if_error']
+        });
+      }
+    } catch (error) {
+      logger.error('record_stale_if_error_failed', { requestId: context.requestId, error });
+    }
+  }
+
+  async recordHedge(hedgeData) {
+    this.metrics.hedgedRequests++;
+    if (hedgeData.hedgeWon) {
+      this.metrics.hedgeWins++;
+    }
+    this.shareMetrics({ hedgedRequests: 1, hedgeWins: hedgeData.hedgeWon ? 1 : 0 });
+
+    try {
+      if (this.analyticsEngine) {
+        await this.analyticsEngine.writeDataPoint({
+          blobs: [hedgeData.requestId, 'hedge', hedgeData.primaryOrigin, hedgeData.winningOrigin],
+          doubles: [hedgeData.delay, Date.now() - hedgeData.startTime],
+          indexes: [hedgeData.hedgeWon ? 'hedge_won' : 'hedge_lost']
+        });
+      }
+    } catch (error) {
+      logger.error('record_hedge_failed', { requestId: hedgeData.requestId, error });
+    }
+  }
+
+  // An origin moving between health states (e.g. "up->degraded"), from HealthChecker
+  async recordHealthTransition(transition) {
+    const key = `${transition.from}->${transition.to}`;
+    this.metrics.healthTransitions.set(key, (this.metrics.healthTransitions.get(key) || 0) + 1);
+    this.shareMetrics({ healthTransitions: { [key]: 1 } });
+
+    try {
+      if (this.analyticsEngine) {
+        await this.analyticsEngine.writeDataPoint({
+          blobs: [transition.origin, 'health_transition', transition.from, transition.to, transition.reason || ''],
+          doubles: [transition.consecutiveSuccesses, transition.consecutiveFailures],
+          indexes: ['health_transition']
+        });
+      }
+    } catch (error) {
+      logger.error('record_health_transition_failed', { origin: transition.origin, error });
+    }
+  }
+
+  // A request served from another request's origin fetch ('isolate' or 'cross_isolate')
+  recordCoalesced(scope) {
+    const counter = scope === 'cross_isolate' ? 'crossIsolateCoalesced' : 'coalescedRequests';
+    this.metrics[counter]++;
+    this.shareMetrics({ [counter]: 1 });
+  }
+
+  async recordWebSocketSession(session) {
+    const messages = session.messagesFromClient + session.messagesFromOrigin;
+    const rttTotal = session.rttSamples.reduce((sum, rtt) => sum + rtt, 0);
+    const averageRtt = session.rttSamples.length > 0 ? rttTotal / session.rttSamples.length : 0;
+
+    const delta = {
+      websocketSessions: 1,
+      websocketMessages: messages,
+      websocketDuration: session.duration,
+      websocketRttTotal: rttTotal,
+      websocketRttSamples: session.rttSamples.length
+    };
+    Object.entries(delta).forEach(([key, value]) => {
+      this.metrics[key] += value;
+    });
+    this.shareMetrics(delta);
+
+    try {
+      if (this.analyticsEngine) {
+        await this.analyticsEngine.writeDataPoint({
+          blobs: [session.requestId, 'websocket', session.targetOrigin, session.country, session.edgeColo],
+          doubles: [
+            session.duration,
+            session.messagesFromClient,
+            session.messagesFromOrigin,
+            averageRtt,
+            session.closeCode || 0
+          ],
+          indexes: ['websocket']
+        });
+      }
+    } catch (error) {
+      logger.error('record_websocket_failed', { requestId: session.requestId, error });
+    }
+  }
+
+  async recordRateLimited(context, result) {
+    const country = context.country || 'unknown';
+    const colo = context.edgeColo || 'unknown';
+
+    this.metrics.rateLimited++;
+    this.metrics.rateLimitedCountries.set(country, (this.metrics.rateLimitedCountries.get(country) || 0) + 1);
+    this.metrics.rateLimitedColos.set(colo, (this.metrics.rateLimitedColos.get(colo) || 0) + 1);
+    this.shareMetrics({
+      rateLimited: 1,
+      rateLimitedCountries: { [country]: 1 },
+      rateLimitedColos: { [colo]: 1 }
+    });
+
+    try {
+      if (this.analyticsEngine) {
+        await this.analyticsEngine.writeDataPoint({
+          blobs: [context.requestId, 'rate_limited', country, colo, result.rule.pathPrefix],
+          doubles: [result.limit, result.retryAfter],
+          indexes: ['rate_limited']
+        });
+      }
+    } catch (error) {
+      logger.error('record_rate_limited_failed', { requestId: context.requestId, error });
+    }
+  }
+
+  // One data point per span so stage timings can be queried by trace id or stage name
+  async recordTrace(trace, context) {
+    const { traceId, spanId, parentSpanId, duration, spans } = trace.toJSON();
+
+    try {
+      if (this.analyticsEngine) {
+        const points = [{ name: 'edge', start: 0, duration }, ...spans];
+        await Promise.all(points.map(span => this.analyticsEngine.writeDataPoint({
+          blobs: [traceId, spanId, parentSpanId || '', span.name, context.requestId, context.edgeColo],
+          doubles: [span.start, span.duration],
+          indexes: ['span']
+        })));
+      }
+    } catch (error) {
+      logger.error('record_trace_failed', { requestId: context.requestId, traceId, error });
+    }
+  }
+
   async recordError(errorData) {
     this.metrics.errors++;
+    this.shareMetrics({ errors: 1, ...this.countCanary(errorData.canary, errorData.duration || 0, true) });
 
     try {
       if (this.analyticsEngine) {
@@ -91,7 +264,7 @@ export class AnalyticsEngine {
       await this.storeErrorMetrics(errorData);
 
     } catch (error) {
-      console.error('Error recording error:', error);
+      logger.error('record_error_failed', { requestId: errorData.requestId, error });
     }
   }
 
@@ -121,6 +294,98 @@ export class AnalyticsEngine {
     // Update status code statistics
     const status = requestData.status?.toString() || 'unknown';
     this.metrics.statusCodes.set(status, (this.metrics.statusCodes.get(status) || 0) + 1);
+
+    const canaryDelta = this.countCanary(requestData.canary, requestData.duration, requestData.status >= 500);
+
+    this.shareMetrics({
+      requests: 1,
+      totalLatency: requestData.duration,
+      [requestData.cacheHit ? 'cacheHits' : 'cacheMisses']: 1,
+      countries: { [country]: 1 },
+      userAgents: { [deviceType]: 1 },
+      origins: requestData.targetOrigin ? { [requestData.targetOrigin]: 1 } : {},
+      statusCodes: { [status]: 1 },
+      ...canaryDelta
+    });
+  }
+
+  // Per canary run and group (e.g. "lx2k9f:canary") request, 5xx and latency totals
+  countCanary(canary, duration, failed) {
+    if (!canary) {
+      return {};
+    }
+
+    const key = `${canary.id}:${canary.group}`;
+    const delta = {
+      canaryRequests: { [key]: 1 },
+      canaryErrors: { [key]: failed ? 1 : 0 },
+      canaryLatency: { [key]: duration }
+    };
+    Object.entries(delta).forEach(([counter, value]) => {
+      this.metrics[counter].set(key, (this.metrics[counter].get(key) || 0) + value[key]);
+    });
+    return delta;
+  }
+
+  // Canary vs baseline error rate and latency, per canary run
+  getCanaryComparison() {
+    const runs = {};
+    for (const [key, requests] of this.metrics.canaryRequests) {
+      const [id, group] = key.split(':');
+      const errors = this.metrics.canaryErrors.get(key) || 0;
+      const latency = this.metrics.canaryLatency.get(key) || 0;
+
+      runs[id] ||= {};
+      runs[id][group] = {
+        requests,
+        errors,
+        errorRate: requests > 0 ? `${((errors / requests) * 100).toFixed(2)}%` : '0%',
+        averageLatency: requests > 0 ? `${(latency / requests).toFixed(0)}ms` : '0ms'
+      };
+    }
+    return runs;
+  }
+
+  // Queue counter increments for the shared PerformanceMonitor state
+  shareMetrics(delta) {
+    this.monitor?.enqueue({ type: 'analytics', delta });
+  }
+
+  // Replace local counters with the totals aggregated across isolates
+  importState(analytics) {
+    if (!analytics) {
+      return;
+    }
+
+    this.metrics = {
+      ...this.metrics,
+      requests: analytics.requests || 0,
+      cacheHits: analytics.cacheHits || 0,
+      cacheMisses: analytics.cacheMisses || 0,
+      staleIfErrorServed: analytics.staleIfErrorServed || 0,
+      errors: analytics.errors || 0,
+      totalLatency: analytics.totalLatency || 0,
+      countries: new Map(Object.entries(analytics.countries || {})),
+      userAgents: new Map(Object.entries(analytics.userAgents || {})),
+      origins: new Map(Object.entries(analytics.origins || {})),
+      statusCodes: new Map(Object.entries(analytics.statusCodes || {})),
+      hedgedRequests: analytics.hedgedRequests || 0,
+      hedgeWins: analytics.hedgeWins || 0,
+      coalescedRequests: analytics.coalescedRequests || 0,
+      crossIsolateCoalesced: analytics.crossIsolateCoalesced || 0,
+      websocketSessions: analytics.websocketSessions || 0,
+      websocketMessages: analytics.websocketMessages || 0,
+      websocketDuration: analytics.websocketDuration || 0,
+      websocketRttTotal: analytics.websocketRttTotal || 0,
+      websocketRttSamples: analytics.websocketRttSamples || 0,
+      rateLimited: analytics.rateLimited || 0,
+      rateLimitedCountries: new Map(Object.entries(analytics.rateLimitedCountries || {})),
+      rateLimitedColos: new Map(Object.entries(analytics.rateLimitedColos || {})),
+      canaryRequests: new Map(Object.entries(analytics.canaryRequests || {})),
+      canaryErrors: new Map(Object.entries(analytics.canaryErrors || {})),
+      canaryLatency: new Map(Object.entries(analytics.canaryLatency || {})),
+      healthTransitions: new Map(Object.entries(analytics.healthTransitions || {}))
+    };
   }
 
   async storeDetailedMetrics(requestData) {
@@ -223,6 +488,7 @@ export class AnalyticsEngine {
       cache: {
         hits: this.metrics.cacheHits,
         misses: this.metrics.cacheMisses,
+        staleIfErrorServed: this.metrics.staleIfErrorServed,
         hitRate: `${cacheHitRate}%`
       },
       geographic: {
@@ -239,6 +505,31 @@ export class AnalyticsEngine {
           .sort((a, b) => b[1] - a[1])
       ),
       statusCodes: Object.fromEntries(this.metrics.statusCodes.entries()),
+      hedging: {
+        hedgedRequests: this.metrics.hedgedRequests,
+        hedgeWins: this.metrics.hedgeWins,
+        hedgeWinRate: this.metrics.hedgedRequests > 0 ?
+          `${((this.metrics.hedgeWins / this.metrics.hedgedRequests) * 100).toFixed(2)}%` : '0%'
+      },
+      coalescing: {
+        coalescedRequests: this.metrics.coalescedRequests,
+        crossIsolateCoalesced: this.metrics.crossIsolateCoalesced
+      },
+      websockets: {
+        sessions: this.metrics.websocketSessions,
+        messages: this.metrics.websocketMessages,
+        averageDuration: this.metrics.websocketSessions > 0 ?
+          `${(this.metrics.websocketDuration / this.metrics.websocketSessions).toFixed(0)}ms` : '0ms',
+        averageOriginRtt: this.metrics.websocketRttSamples > 0 ?
+          `${(this.metrics.websocketRttTotal / this.metrics.websocketRttSamples).toFixed(2)}ms` : null
+      },
+      rateLimiting: {
+        rejected: this.metrics.rateLimited,
+        countries: this.topEntries(this.metrics.rateLimitedCountries, 10),
+        colos: this.topEntries(this.metrics.rateLimitedColos, 10)
+      },
+      canary: this.getCanaryComparison(),
+      healthTransitions: Object.fromEntries(this.metrics.healthTransitions),
       performance: {
         latencyDistribution: await this.getLatencyDistribution(),
         peakHours: await this.getPeakHours(),
@@ -275,7 +566,7 @@ export class AnalyticsEngine {
 
       return hourlyData;
     } catch (error) {
-      console.error('Error getting recent metrics:', error);
+      logger.error('recent_metrics_failed', { error });
       return [];
     }
   }
@@ -318,11 +609,19 @@ export class AnalyticsEngine {
         { error: 'DNS resolution failed', count: 1, lastSeen: Date.now() - 600000 }
       ];
     } catch (error) {
-      console.error('Error getting recent errors:', error);
+      logger.error('recent_errors_failed', { error });
       return [];
     }
   }
 
+  topEntries(counters, limit) {
+    return Object.fromEntries(
+      Array.from(counters.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+    );
+  }
+
   calculateRequestsPerMinute() {
     const uptimeMinutes = (Date.now() - this.startTime) / (1000 * 60);
     return uptimeMinutes > 0 ? (this.metrics.requests / uptimeMinutes).toFixed(2) : 0;
@@ -352,12 +651,29 @@ export class AnalyticsEngine {
       requests: 0,
       cacheHits: 0,
       cacheMisses: 0,
+      staleIfErrorServed: 0,
       errors: 0,
       totalLatency: 0,
       countries: new Map(),
       userAgents: new Map(),
       origins: new Map(),
-      statusCodes: new Map()
+      statusCodes: new Map(),
+      hedgedRequests: 0,
+      hedgeWins: 0,
+      coalescedRequests: 0,
+      crossIsolateCoalesced: 0,
+      websocketSessions: 0,
+      websocketMessages: 0,
+      websocketDuration: 0,
+      websocketRttTotal: 0,
+      websocketRttSamples: 0,
+      rateLimited: 0,
+      rateLimitedCountries: new Map(),
+      rateLimitedColos: new Map(),
+      canaryRequests: new Map(),
+      canaryErrors: new Map(),
+      canaryLatency: new Map(),
+      healthTransitions: new Map()
     };
     this.startTime = Date.now();
   }
@@ -0,0 +1,22 @@
+// Collects why a debug-mode request was routed and cached the way it was. Components write to it
+// through context.debug, which is null unless the request is authorized for debug mode.
+export class DecisionTrace {
+  constructor(requestId) {
+    this.decisions = { requestId };
+  }
+
+  record(section, data) {
+    this.decisions[section] = data;
+  }
+
+  append(section, entry) {
+    (this.decisions[section] ||= []).push(entry);
+  }
+
+  // Single-line JSON; anything outside printable ASCII is escaped so it is a valid header value
+  toHeader() {
+    return JSON.stringify(this.decisions).replace(/[^\x20-\x7e]/g, char =>
+      `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+    );
+  }
+}
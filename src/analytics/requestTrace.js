@@ -0,0 +1,171 @@
+import { toHex } from '../utils/crypto.js';
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const MAX_TRACESTATE_LENGTH = 512;
+
+// W3C Trace Context for one proxied request plus timings for each stage of the pipeline.
+// Every stage is reported in Server-Timing. Stages still running in the background when the
+// headers go out (cache write, streamed origin body) show their time so far as pending; their
+// full duration is in the exported spans.
+export class RequestTrace {
+  constructor({ traceId, parentSpanId = null, flags = '01', tracestate = null } = {}) {
+    this.traceId = traceId || randomHex(16);
+    this.parentSpanId = parentSpanId;
+    this.spanId = randomHex(8);
+    this.flags = flags;
+    this.tracestate = tracestate;
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.spans = [];
+    this.running = new Map();
+    this.pending = [];
+  }
+
+  // Continue the caller's trace when traceparent is valid, otherwise start a new one
+  static fromRequest(request) {
+    const parsed = RequestTrace.parseTraceparent(request.headers.get('traceparent'));
+    if (!parsed) {
+      return new RequestTrace();
+    }
+
+    const tracestate = request.headers.get('tracestate');
+    return new RequestTrace({
+      ...parsed,
+      tracestate: tracestate && tracestate.length <= MAX_TRACESTATE_LENGTH ? tracestate : null
+    });
+  }
+
+  static parseTraceparent(header) {
+    const match = (header || '').trim().toLowerCase().match(TRACEPARENT_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, version, traceId, parentSpanId, flags, extra] = match;
+    // Version ff is forbidden and version 00 has no trailing fields
+    if (version === 'ff' || (version === '00' && extra)) {
+      return null;
+    }
+    if (traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) {
+      return null;
+    }
+
+    return { traceId, parentSpanId, flags };
+  }
+
+  get traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.flags}`;
+  }
+
+  // Make the worker's span the parent of the origin's
+  inject(headers) {
+    headers.set('traceparent', this.traceparent);
+    if (this.tracestate) {
+      headers.set('tracestate', this.tracestate);
+    } else {
+      headers.delete('tracestate');
+    }
+  }
+
+  record(name, start, end = Date.now(), description = null) {
+    const span = { name, start: start - this.startTime, duration: end - start };
+    if (description) {
+      span.description = description;
+    }
+    this.spans.push(span);
+    return span;
+  }
+
+  async measure(name, fn, describe = null) {
+    const start = Date.now();
+    const result = await fn();
+    this.record(name, start, Date.now(), describe ? describe(result) : null);
+    return result;
+  }
+
+  // Time work that outlives the response; settle() waits for it
+  track(name, promise) {
+    const start = Date.now();
+    this.running.set(name, start);
+    const tracked = Promise.resolve(promise).finally(() => this.complete(name, start));
+    this.pending.push(tracked.catch(() => {}));
+    return tracked;
+  }
+
+  complete(name, start, description = null) {
+    this.running.delete(name);
+    return this.record(name, start, Date.now(), description);
+  }
+
+  // Time how long the origin body takes to be fully read, whoever ends up reading it
+  measureBody(name, response) {
+    const start = Date.now();
+
+    if (!response.body) {
+      this.record(name, start);
+      return response;
+    }
+
+    // pipeTo settles whether the body is read to the end, cancelled by the reader or fails
+    const { readable, writable } = new TransformStream();
+    this.running.set(name, start);
+    this.pending.push(response.body.pipeTo(writable).then(
+      () => this.complete(name, start),
+      () => this.complete(name, start, 'cancelled')
+    ));
+
+    return new Response(readable, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  // Called as the response headers are built, which is when the edge span ends
+  serverTiming(fromCache) {
+    this.endTime = Date.now();
+    const metrics = this.spans.map(span => {
+      let metric = `${span.name};dur=${span.duration}`;
+      if (span.description) {
+        metric += `;desc="${span.description}"`;
+      }
+      return metric;
+    });
+    this.running.forEach((start, name) => {
+      metrics.push(`${name};dur=${this.endTime - start};desc="pending"`);
+    });
+
+    metrics.push(`cache;desc=${fromCache ? 'hit' : 'miss'}`);
+    metrics.push(`edge;dur=${this.endTime - this.startTime}`);
+    return metrics.join(', ');
+  }
+
+  // Wait (bounded) for background stages so the exported trace is complete
+  async settle(timeout) {
+    let timer;
+    await Promise.race([
+      Promise.all(this.pending),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, timeout);
+      })
+    ]);
+    clearTimeout(timer);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      flags: this.flags,
+      duration: (this.endTime ?? Date.now()) - this.startTime,
+      spans: this.spans
+    };
+  }
+}
+
+function randomHex(bytes) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
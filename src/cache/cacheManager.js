@@ -1,8 +1,13 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CacheManager');
+
 export class CacheManager {
   constructor(kvStore, config) {
     this.kvStore = kvStore;
     this.config = config;
     this.maxTTL = config.MAX_CACHE_TTL || 86400;
+    this.staleIfError = config.STALE_IF_ERROR ?? 86400;
     this.cacheStrategies = {
       'text/html': { ttl: 3600, vary: ['Accept-Encoding', 'User-Agent'] },
       'text/css': { ttl: 86400, vary: ['Accept-Encoding'] },
@@ -20,54 +25,93 @@ export class CacheManager {
       const cachedData = await this.kvStore.get(cacheKey, 'json');
 
       if (!cachedData) {
+        context.debug?.record('cacheLookup', { result: 'miss' });
         return null;
       }
 
-      // Check if cache entry is expired
+      // Expired entries stay in KV through their stale-if-error window in case the origin fails
       if (Date.now() > cachedData.expiresAt) {
-        // Asynchronously delete expired entry
-        this.kvStore.delete(cacheKey);
+        if (!this.isWithinStaleIfError(cachedData)) {
+          // Asynchronously delete expired entry
+          this.kvStore.delete(cacheKey);
+        }
+        context.debug?.record('cacheLookup', { result: 'expired', expiredAt: cachedData.expiresAt });
         return null;
       }
 
       // Check if we should serve stale content
       const isStale = Date.now() > cachedData.freshUntil;
+      context.debug?.record('cacheLookup', {
+        result: 'hit',
+        stale: isStale,
+        age: Math.floor((Date.now() - cachedData.cachedAt) / 1000),
+        cachedFrom: cachedData.context?.edgeColo
+      });
       if (isStale && cachedData.staleWhileRevalidate) {
         // Serve stale content but trigger background revalidation
-        console.log(`Serving stale content for ${cacheKey}, triggering revalidation`);
+        logger.debug('cache_stale_served', { requestId: context.requestId, cacheKey });
         // In a real implementation, you'd trigger a background revalidation here
       }
 
-      // Reconstruct response from cached data
-      const response = new Response(cachedData.body, {
-        status: cachedData.status,
-        statusText: cachedData.statusText,
-        headers: new Headers(cachedData.headers)
-      });
+      const response = this.buildResponse(cachedData, cacheKey, 'HIT');
+      if (isStale) {
+        response.headers.set('X-Cache-Stale', 'true');
+      }
+      return response;
 
-      // Add cache metadata headers
-      const headers = new Headers(response.headers);
-      headers.set('X-Cache-Status', 'HIT');
-      headers.set('X-Cache-Key', cacheKey);
-      headers.set('X-Cache-Age', Math.floor((Date.now() - cachedData.cachedAt) / 1000).toString());
-      headers.set('X-Cache-TTL', Math.floor((cachedData.expiresAt - Date.now()) / 1000).toString());
+    } catch (error) {
+      logger.error('cache_get_failed', { requestId: context?.requestId, url, error });
+      context?.debug?.record('cacheLookup', { result: 'error', error: error.message });
+      return null;
+    }
+  }
 
-      if (isStale) {
-        headers.set('X-Cache-Stale', 'true');
+  // Any copy still inside its stale-if-error window, for when the origin has failed
+  async getStale(url, context) {
+    try {
+      const cacheKey = this.generateCacheKey(url, context);
+      const cachedData = await this.kvStore.get(cacheKey, 'json');
+
+      if (!cachedData || !this.isWithinStaleIfError(cachedData)) {
+        context.debug?.record('staleIfError', { result: 'miss' });
+        return null;
       }
 
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers
+      context.debug?.record('staleIfError', {
+        result: 'hit',
+        age: Math.floor((Date.now() - cachedData.cachedAt) / 1000),
+        cachedFrom: cachedData.context?.edgeColo
       });
 
+      const response = this.buildResponse(cachedData, cacheKey, 'STALE-ERROR');
+      response.headers.set('Warning', '110 - "Response is Stale", 111 - "Revalidation Failed"');
+      return response;
+
     } catch (error) {
-      console.error(`Cache get error for ${url}:`, error);
+      logger.error('cache_get_stale_failed', { requestId: context?.requestId, url, error });
       return null;
     }
   }
 
+  isWithinStaleIfError(cachedData) {
+    return Date.now() <= (cachedData.staleUntil ?? cachedData.expiresAt);
+  }
+
+  // Reconstruct response from cached data, with cache metadata headers
+  buildResponse(cachedData, cacheKey, cacheStatus) {
+    const headers = new Headers(cachedData.headers);
+    headers.set('X-Cache-Status', cacheStatus);
+    headers.set('X-Cache-Key', cacheKey);
+    headers.set('X-Cache-Age', Math.floor((Date.now() - cachedData.cachedAt) / 1000).toString());
+    headers.set('X-Cache-TTL', Math.max(0, Math.floor((cachedData.expiresAt - Date.now()) / 1000)).toString());
+
+    return new Response(cachedData.body, {
+      status: cachedData.status,
+      statusText: cachedData.statusText,
+      headers
+    });
+  }
+
   async set(url, response, context) {
     try {
       const contentType = response.headers.get('content-type') || 'default';
@@ -88,6 +132,8 @@ export class CacheManager {
       const maxAge = this.extractMaxAge(response) || ttl;
       const freshUntil = now + (maxAge * 1000);
       const staleWhileRevalidate = this.extractStaleWhileRevalidate(response);
+      // The origin's own stale-if-error directive wins over the configured grace window
+      const staleIfError = this.extractStaleIfError(response) ?? this.staleIfError;
 
       const cacheData = {
         url,
@@ -99,6 +145,7 @@ export class CacheManager {
         cachedAt: now,
         expiresAt,
         freshUntil,
+        staleUntil: expiresAt + (staleIfError * 1000),
         staleWhileRevalidate,
         cacheStrategy,
         context: {
@@ -108,16 +155,16 @@ export class CacheManager {
         }
       };
 
-      // Store in KV with expiration
+      // Store in KV with expiration; KV keeps it through the stale-if-error window
       await this.kvStore.put(cacheKey, JSON.stringify(cacheData), {
-        expirationTtl: Math.min(ttl, this.maxTTL)
+        expirationTtl: Math.max(60, Math.min(ttl, this.maxTTL) + staleIfError)
       });
 
-      console.log(`Cached ${url} with key ${cacheKey} for ${ttl}s`);
+      logger.debug('cache_stored', { requestId: context.requestId, url, cacheKey, ttl });
       return true;
 
     } catch (error) {
-      console.error(`Cache set error for ${url}:`, error);
+      logger.error('cache_set_failed', { requestId: context?.requestId, url, error });
       return false;
     }
   }
@@ -141,11 +188,18 @@ export class CacheManager {
     const deviceType = this.categorizeUserAgent(context.userAgent);
     varyFactors.push(`device:${deviceType}`);
 
+    // Canary clients get their own entries; baseline clients share the regular cache
+    if (context.canary?.group === 'canary') {
+      varyFactors.push(`canary:${context.canary.id}`);
+    }
+
     // Combine factors
     const varyString = varyFactors.join('|');
     const hash = this.simpleHash(varyString);
+    const cacheKey = `cache:${hash}:${encodeURIComponent(baseKey)}`;
 
-    return `cache:${hash}:${encodeURIComponent(baseKey)}`;
+    context.debug?.record('cacheKey', { key: cacheKey, baseKey, varyFactors });
+    return cacheKey;
   }
 
   getCacheStrategy(contentType) {
@@ -166,7 +220,7 @@ export class CacheManager {
 
     // Don't cache if explicitly marked as non-cacheable
     const cacheControl = response.headers.get('cache-control') || '';
-    if (cacheControl.includes('no-cache') || cacheControl.includes('no-store')) {
+    if (cacheControl.includes('no-cache') || cacheControl.includes('no-store') || cacheControl.includes('private')) {
       return false;
     }
 
@@ -218,6 +272,12 @@ export class CacheManager {
     return staleMatch ? parseInt(staleMatch[1]) : 0;
   }
 
+  extractStaleIfError(response) {
+    const cacheControl = response.headers.get('cache-control') || '';
+    const staleMatch = cacheControl.match(/stale-if-error=(\d+)/);
+    return staleMatch ? parseInt(staleMatch[1]) : null;
+  }
+
   categorizeUserAgent(userAgent) {
     if (!userAgent) {
       return 'unknown';
@@ -252,7 +312,7 @@ export class CacheManager {
   async purge(pattern) {
     // This would require additional KV operations to list and delete
     // In a real implementation, you might maintain an index of cache keys
-    console.log(`Cache purge requested for pattern: ${pattern}`);
+    logger.info('cache_purge_requested', { pattern });
   }
 
   // Get cache statistics
@@ -267,12 +327,13 @@ export class CacheManager {
           'Geographic caching',
           'Device-specific caching',
           'Stale-while-revalidate',
+          'Stale-if-error',
           'Content-type optimization',
           'Cache purging'
         ]
       };
     } catch (error) {
-      console.error('Error getting cache stats:', error);
+      logger.error('cache_stats_failed', { error });
       return { error: error.message };
     }
   }
@@ -0,0 +1,187 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RequestCoalescer');
+
+// Largest body handed to other isolates through the PerformanceMonitor lock
+const MAX_SHARED_BODY = 1024 * 1024;
+
+// Deduplicates concurrent cache misses for the same cache key so only one origin fetch runs.
+// The leader streams the origin response to its client while a copy is buffered for the cache
+// and for in-isolate waiters. With COALESCE_CROSS_ISOLATE, other isolates wait on a
+// PerformanceMonitor lock and receive the leader's copy when it is released.
+// Only cacheable responses to requests without credentials are shared; anything else could be
+// private to the client that asked for it, so waiters go to the origin themselves.
+export class RequestCoalescer {
+  constructor(config, { cacheManager, monitor }) {
+    this.config = config;
+    this.cacheManager = cacheManager;
+    this.monitor = monitor;
+    this.crossIsolate = Boolean(config.COALESCE_CROSS_ISOLATE) && Boolean(monitor?.enabled);
+    this.waitTimeout = config.COALESCE_WAIT_TIMEOUT || config.FAILOVER_TIMEOUT || 5000;
+    this.inFlight = new Map();
+  }
+
+  hasCredentials(request) {
+    return request.headers.has('Cookie') || request.headers.has('Authorization');
+  }
+
+  // fetcher() must resolve with { response, targetOrigin }; store(response) writes a copy to the
+  // cache and is called for every cacheable response fetched here, never for shared ones
+  async run(cacheKey, request, context, fetcher, store) {
+    if (this.hasCredentials(request)) {
+      return { ...(await this.fetchAlone(context, fetcher, store)), coalesced: null };
+    }
+
+    const existing = this.inFlight.get(cacheKey);
+    if (existing) {
+      const { shared } = await existing;
+      if (!shared) {
+        // The leader's response was not cacheable, so it is not ours to share
+        return { ...(await this.fetchAlone(context, fetcher, store)), coalesced: null };
+      }
+      const buffered = await shared.buffered;
+      return { ...this.toResult({ buffered, targetOrigin: shared.targetOrigin }), coalesced: 'isolate' };
+    }
+
+    const promise = this.lead(cacheKey, context, fetcher, store);
+    this.inFlight.set(cacheKey, promise);
+    const leave = () => this.inFlight.delete(cacheKey);
+
+    let result;
+    try {
+      result = await promise;
+    } catch (error) {
+      leave();
+      throw error;
+    }
+
+    // Waiters can join until the shared copy is complete
+    if (result.shared) {
+      result.shared.buffered.then(leave, leave);
+    } else {
+      leave();
+    }
+    const { response, targetOrigin, fromPeer } = result;
+    return { response, targetOrigin, coalesced: fromPeer ? 'cross_isolate' : null };
+  }
+
+  async fetchAlone(context, fetcher, store) {
+    const result = await fetcher();
+    if (this.cacheManager.isCacheable(result.response)) {
+      context.waitUntil(store(result.response.clone()));
+    }
+    return result;
+  }
+
+  // Resolves with { response, targetOrigin, shared, fromPeer }. shared is set for a response other
+  // requests may use: { buffered, targetOrigin }, where buffered resolves with the full copy.
+  async lead(cacheKey, context, fetcher, store) {
+    let holdsLock = false;
+    if (this.crossIsolate) {
+      const peer = await this.waitForPeer(cacheKey, context);
+      if (peer.buffered) {
+        const { response, targetOrigin } = this.toResult(peer);
+        const shared = { buffered: Promise.resolve(peer.buffered), targetOrigin };
+        return { response, targetOrigin, shared, fromPeer: true };
+      }
+      holdsLock = peer.acquired;
+    }
+
+    let result;
+    try {
+      result = await fetcher();
+    } catch (error) {
+      if (holdsLock) {
+        context.waitUntil(this.monitor.releaseLock(cacheKey));
+      }
+      throw error;
+    }
+
+    const { response, targetOrigin } = result;
+    if (!this.cacheManager.isCacheable(response)) {
+      // Tell waiting peers to go to the origin now
+      if (holdsLock) {
+        context.waitUntil(this.monitor.releaseLock(cacheKey, { shareFor: this.waitTimeout }));
+      }
+      return { response, targetOrigin };
+    }
+
+    // clone() tees the body: the client streams one branch while the other is buffered
+    const buffered = this.buffer(response.clone());
+    const cacheWrite = buffered.then(copy => store(this.toResult({ buffered: copy }).response));
+    context.waitUntil(cacheWrite.catch(error => {
+      logger.error('shared_copy_failed', { requestId: context.requestId, cacheKey, error });
+    }));
+
+    if (holdsLock) {
+      context.waitUntil(buffered.then(
+        copy => this.monitor.releaseLock(cacheKey, {
+          result: copy.body.byteLength <= MAX_SHARED_BODY ? this.serialize(copy) : null,
+          shareFor: this.waitTimeout
+        }),
+        () => this.monitor.releaseLock(cacheKey)
+      ));
+    }
+
+    return { response, targetOrigin, shared: { buffered, targetOrigin } };
+  }
+
+  // Take the cross-isolate lock ({ acquired: true }), or wait on it for the holder's response
+  // ({ buffered }); {} when none is coming, because it was not shareable or time ran out
+  async waitForPeer(cacheKey, context) {
+    const deadline = Date.now() + this.waitTimeout;
+
+    for (let wait = this.waitTimeout; wait > 0; wait = deadline - Date.now()) {
+      const { acquired, result, unshared } = await this.monitor.acquireLock(cacheKey, this.waitTimeout * 2, wait);
+      if (acquired) {
+        return { acquired: true };
+      }
+      if (result) {
+        return { buffered: this.deserialize(result) };
+      }
+      if (unshared) {
+        return {};
+      }
+      // The holder failed without a response; try for the lock again
+    }
+
+    logger.warn('peer_wait_timeout', { requestId: context.requestId, cacheKey });
+    return {};
+  }
+
+  async buffer(response) {
+    return {
+      body: await response.arrayBuffer(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: Array.from(response.headers.entries())
+    };
+  }
+
+  // JSON form of a buffered response for the PerformanceMonitor lock, in the cache's body encoding
+  serialize(buffered) {
+    return { ...buffered, body: Array.from(new Uint8Array(buffered.body)) };
+  }
+
+  deserialize(result) {
+    return { ...result, body: new Uint8Array(result.body).buffer };
+  }
+
+  toResult({ buffered, targetOrigin }) {
+    return {
+      response: new Response(buffered.body, {
+        status: buffered.status,
+        statusText: buffered.statusText,
+        headers: new Headers(buffered.headers)
+      }),
+      targetOrigin
+    };
+  }
+
+  getStats() {
+    return {
+      inFlight: this.inFlight.size,
+      crossIsolate: this.crossIsolate
+    };
+  }
+}
@@ -0,0 +1,368 @@
+import { LOG_LEVELS } from '../utils/logger.js';
+
+const HEALTH_CHECK_FIELDS = ['path', 'method', 'headers', 'expectedStatus', 'bodyContains', 'json', 'timeout', 'interval'];
+
+// Schema for every setting read from env bindings ([vars] and secrets)
+export const CONFIG_SCHEMA = {
+  MAX_CACHE_TTL: { type: 'integer', default: 86400, min: 60, max: 31536000 },
+  STALE_IF_ERROR: { type: 'integer', default: 86400, min: 0, max: 604800 },
+  COMPRESSION_LEVEL: { type: 'integer', default: 6, min: 1, max: 9 },
+  ENABLE_HTTP3: { type: 'boolean', default: true },
+  ENABLE_EARLY_HINTS: { type: 'boolean', default: true },
+  EARLY_HINTS_MAX_PER_PATH: { type: 'integer', default: 10, min: 1, max: 50 },
+  EARLY_HINTS_TTL: { type: 'integer', default: 86400, min: 60, max: 2592000 },
+  MONITORING_INTERVAL: { type: 'integer', default: 30000, min: 1000, max: 3600000 },
+  HEALTH_CHECKS: { type: 'healthChecks', default: {} },
+  HEALTH_RISE: { type: 'integer', default: 2, min: 1, max: 100 },
+  HEALTH_FALL: { type: 'integer', default: 3, min: 1, max: 100 },
+  PASSIVE_HEALTH_WINDOW: { type: 'integer', default: 60000, min: 5000, max: 3600000 },
+  PASSIVE_HEALTH_MIN_REQUESTS: { type: 'integer', default: 20, min: 1, max: 100000 },
+  PASSIVE_HEALTH_ERROR_RATE: { type: 'number', default: 0.5, min: 0.01, max: 1 },
+  OUTLIER_CONSECUTIVE_5XX: { type: 'integer', default: 5, min: 0, max: 1000 },
+  OUTLIER_STDEV_FACTOR: { type: 'number', default: 1.9, min: 0.5, max: 10 },
+  OUTLIER_INTERVAL: { type: 'integer', default: 10000, min: 1000, max: 600000 },
+  OUTLIER_BASE_EJECTION_TIME: { type: 'integer', default: 30000, min: 1000, max: 3600000 },
+  OUTLIER_MAX_EJECTION_TIME: { type: 'integer', default: 300000, min: 1000, max: 86400000 },
+  OUTLIER_MAX_EJECTION_PERCENT: { type: 'integer', default: 50, min: 0, max: 100 },
+  FAILOVER_TIMEOUT: { type: 'integer', default: 5000, min: 100, max: 60000 },
+  RETRY_MAX_ATTEMPTS: { type: 'integer', default: 3, min: 1, max: 10 },
+  RETRY_BUDGET: { type: 'integer', default: 10000, min: 100, max: 120000 },
+  RETRY_STATUSES: { type: 'statusCodes', default: [502, 503, 504], min: 500, max: 599 },
+  RETRY_MAX_BODY_SIZE: { type: 'integer', default: 1048576, min: 0, max: 104857600 },
+  CIRCUIT_FAILURE_THRESHOLD: { type: 'integer', default: 5, min: 1, max: 1000 },
+  CIRCUIT_OPEN_DURATION: { type: 'integer', default: 30000, min: 1000, max: 600000 },
+  CIRCUIT_HALF_OPEN_PROBES: { type: 'integer', default: 1, min: 1, max: 100 },
+  HEDGING_ENABLED: { type: 'boolean', default: false },
+  HEDGE_DELAY: { type: 'integer', default: 0, min: 0, max: 60000 },
+  HEDGE_PERCENTILE: { type: 'number', default: 0.95, min: 0.5, max: 0.999 },
+  AFFINITY_MODE: { type: 'string', default: 'off', values: ['off', 'cookie', 'header', 'ip'] },
+  AFFINITY_HEADER: { type: 'string', default: null },
+  AFFINITY_COOKIE_TTL: { type: 'integer', default: 3600, min: 60, max: 2592000 },
+  EWMA_DECAY_TIME: { type: 'integer', default: 10000, min: 100, max: 600000 },
+  HASH_KEY: { type: 'string', default: 'path', values: ['path', 'header', 'ip'] },
+  HASH_HEADER: { type: 'string', default: null },
+  HASH_VIRTUAL_NODES: { type: 'integer', default: 160, min: 1, max: 1000 },
+  HASH_LOAD_FACTOR: { type: 'number', default: 1.25, min: 1, max: 10 },
+  CANARY_STICKINESS: { type: 'string', default: 'cookie', values: ['cookie', 'ip'] },
+  CANARY_COOKIE_TTL: { type: 'integer', default: 86400, min: 60, max: 31536000 },
+  COALESCE_CROSS_ISOLATE: { type: 'boolean', default: false },
+  COALESCE_WAIT_TIMEOUT: { type: 'integer', default: 5000, min: 100, max: 60000 },
+  WEBSOCKET_PING_INTERVAL: { type: 'integer', default: 0, min: 0, max: 300000 },
+  WEBSOCKET_PING_MESSAGE: { type: 'string', default: null },
+  WEBSOCKET_PONG_MESSAGE: { type: 'string', default: null },
+  RATE_LIMIT_ENABLED: { type: 'boolean', default: false },
+  RATE_LIMIT_REQUESTS: { type: 'integer', default: 100, min: 1, max: 1000000 },
+  RATE_LIMIT_WINDOW: { type: 'integer', default: 60, min: 1, max: 86400 },
+  RATE_LIMIT_RULES: { type: 'rateLimitRules', default: [] },
+  RATE_LIMIT_KEY_HEADER: { type: 'string', default: null },
+  RATE_LIMIT_SHARDS: { type: 'integer', default: 32, min: 1, max: 1024 },
+  LOG_LEVEL: { type: 'string', default: 'info', values: LOG_LEVELS },
+  LOG_SAMPLING: { type: 'sampling', default: {} },
+  ADMIN_TOKEN: { type: 'string', default: null, minLength: 16, secret: true },
+  DEBUG_SIGNING_KEY: { type: 'string', default: null, minLength: 32, secret: true },
+  AFFINITY_SIGNING_KEY: { type: 'string', default: null, minLength: 32, secret: true },
+  STATE_SYNC_INTERVAL: { type: 'integer', default: 5000, min: 0, max: 300000 },
+  MONITOR_FLUSH_INTERVAL: { type: 'integer', default: 2000, min: 0, max: 60000 },
+  MONITOR_BATCH_SIZE: { type: 'integer', default: 100, min: 1, max: 10000 },
+  ORIGINS: { type: 'origins', default: [], required: true }
+};
+
+export class ConfigLoader {
+  constructor(schema = CONFIG_SCHEMA) {
+    this.schema = schema;
+    this.parsers = {
+      integer: (key, raw, rule) => this.parseInteger(key, raw, rule),
+      number: (key, raw, rule) => this.parseNumber(key, raw, rule),
+      boolean: (key, raw) => this.parseBoolean(key, raw),
+      string: (key, raw, rule) => this.parseString(key, raw, rule),
+      json: (key, raw) => this.parseJSON(key, raw),
+      origins: (key, raw) => this.parseOrigins(key, raw),
+      statusCodes: (key, raw, rule) => this.parseStatusCodes(key, raw, rule),
+      rateLimitRules: (key, raw) => this.parseRateLimitRules(key, raw),
+      healthChecks: (key, raw) => this.parseHealthChecks(key, raw),
+      sampling: (key, raw) => this.parseSampling(key, raw)
+    };
+  }
+
+  // Build a validated config from env; invalid settings keep their default and are reported in errors
+  load(env = {}) {
+    const config = {};
+    const errors = [];
+
+    for (const [key, rule] of Object.entries(this.schema)) {
+      const raw = env[key];
+
+      if (raw === undefined || raw === null || raw === '') {
+        if (rule.required) {
+          errors.push({ key, value: raw ?? null, message: `${key} is required` });
+        }
+        config[key] = this.cloneDefault(rule.default);
+        continue;
+      }
+
+      try {
+        config[key] = this.parsers[rule.type](key, raw, rule);
+      } catch (error) {
+        errors.push({ key, value: this.describeValue(raw, rule), message: error.message });
+        config[key] = this.cloneDefault(rule.default);
+      }
+    }
+
+    return { config, errors };
+  }
+
+  parseInteger(key, raw, rule) {
+    const value = this.parseNumber(key, raw, rule);
+    if (!Number.isInteger(value)) {
+      throw new Error(`${key} must be an integer`);
+    }
+    return value;
+  }
+
+  parseNumber(key, raw, rule) {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+
+    if (!Number.isFinite(value)) {
+      throw new Error(`${key} must be a number`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      throw new Error(`${key} must be >= ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      throw new Error(`${key} must be <= ${rule.max}`);
+    }
+
+    return value;
+  }
+
+  parseBoolean(key, raw) {
+    if (typeof raw === 'boolean') {
+      return raw;
+    }
+
+    const value = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(value)) {
+      return true;
+    }
+    if (['false', '0', 'no', 'off'].includes(value)) {
+      return false;
+    }
+
+    throw new Error(`${key} must be a boolean (true/false)`);
+  }
+
+  parseString(key, raw, rule) {
+    const value = String(raw);
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      throw new Error(`${key} must be at least ${rule.minLength} characters`);
+    }
+    if (rule.values && !rule.values.includes(value)) {
+      throw new Error(`${key} must be one of: ${rule.values.join(', ')}`);
+    }
+    return value;
+  }
+
+  parseJSON(key, raw) {
+    if (typeof raw !== 'string') {
+      return raw;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${key} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  parseOrigins(key, raw) {
+    const origins = this.parseJSON(key, raw);
+
+    if (!Array.isArray(origins) || origins.length === 0) {
+      throw new Error(`${key} must be a non-empty JSON array of URLs`);
+    }
+
+    const normalized = origins.map((origin) => this.normalizeOrigin(key, origin));
+
+    const duplicates = normalized.filter((origin, index) => normalized.indexOf(origin) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`${key} contains duplicate origins: ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  normalizeOrigin(key, origin) {
+    if (typeof origin !== 'string') {
+      throw new Error(`${key} entries must be strings`);
+    }
+
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      throw new Error(`${key} contains an invalid URL: ${origin}`);
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`${key} entries must use http or https: ${origin}`);
+    }
+    if (url.search || url.hash) {
+      throw new Error(`${key} entries must not include a query or fragment: ${origin}`);
+    }
+
+    // Request paths are appended to the origin, so drop any trailing slash
+    return origin.replace(/\/+$/, '');
+  }
+
+  // JSON array or comma-separated list, e.g. "502,503,504"
+  parseStatusCodes(key, raw, rule) {
+    const text = String(raw).trim();
+    const codes = Array.isArray(raw) ? raw : text.startsWith('[') ? this.parseJSON(key, text) : text.split(',');
+
+    if (!Array.isArray(codes)) {
+      throw new Error(`${key} must be a list of status codes`);
+    }
+
+    return [...new Set(codes.map((code) => {
+      const value = Number(String(code).trim());
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        throw new Error(`${key} entries must be status codes between ${rule.min} and ${rule.max}`);
+      }
+      return value;
+    }))];
+  }
+
+  parseRateLimitRules(key, raw) {
+    const rules = this.parseJSON(key, raw);
+
+    if (!Array.isArray(rules)) {
+      throw new Error(`${key} must be a JSON array of {pathPrefix, limit, window} rules`);
+    }
+
+    return rules.map((rule) => {
+      if (!rule || typeof rule.pathPrefix !== 'string' || !rule.pathPrefix.startsWith('/')) {
+        throw new Error(`${key} rules need a pathPrefix starting with /`);
+      }
+      if (!Number.isInteger(rule.limit) || rule.limit < 1) {
+        throw new Error(`${key} rule for ${rule.pathPrefix} needs a positive integer limit`);
+      }
+      if (!Number.isInteger(rule.window) || rule.window < 1 || rule.window > 86400) {
+        throw new Error(`${key} rule for ${rule.pathPrefix} needs a window between 1 and 86400 seconds`);
+      }
+      return { pathPrefix: rule.pathPrefix, limit: rule.limit, window: rule.window };
+    });
+  }
+
+  // {"default": {...}, "<origin>": {...}}; an origin's spec overrides the default field by field
+  parseHealthChecks(key, raw) {
+    const specs = this.parseJSON(key, raw);
+
+    if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+      throw new Error(`${key} must be a JSON object of origins (or "default") to health check specs`);
+    }
+
+    return Object.fromEntries(Object.entries(specs).map(([target, spec]) => [
+      target === 'default' ? target : this.normalizeOrigin(key, target),
+      this.parseHealthCheckSpec(`${key} ${target}`, spec)
+    ]));
+  }
+
+  parseHealthCheckSpec(label, spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`${label} must be an object`);
+    }
+
+    const unknown = Object.keys(spec).filter(field => !HEALTH_CHECK_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${label} has unknown fields: ${unknown.join(', ')}`);
+    }
+
+    const parsed = {};
+    if (spec.path !== undefined) {
+      if (typeof spec.path !== 'string' || !spec.path.startsWith('/')) {
+        throw new Error(`${label} path must start with /`);
+      }
+      parsed.path = spec.path;
+    }
+    if (spec.method !== undefined) {
+      parsed.method = String(spec.method).toUpperCase();
+      if (!['GET', 'HEAD'].includes(parsed.method)) {
+        throw new Error(`${label} method must be GET or HEAD`);
+      }
+    }
+    if (spec.headers !== undefined) {
+      if (!spec.headers || typeof spec.headers !== 'object' || Array.isArray(spec.headers) ||
+        !Object.values(spec.headers).every(value => typeof value === 'string')) {
+        throw new Error(`${label} headers must map header names to strings`);
+      }
+      parsed.headers = { ...spec.headers };
+    }
+    if (spec.expectedStatus !== undefined) {
+      parsed.expectedStatus = this.parseStatusRanges(label, spec.expectedStatus);
+    }
+    if (spec.bodyContains !== undefined) {
+      if (typeof spec.bodyContains !== 'string' || spec.bodyContains.length === 0) {
+        throw new Error(`${label} bodyContains must be a non-empty string`);
+      }
+      parsed.bodyContains = spec.bodyContains;
+    }
+    if (spec.json !== undefined) {
+      if (!spec.json || typeof spec.json.path !== 'string' || spec.json.path.length === 0) {
+        throw new Error(`${label} json needs a path, e.g. {"path": "$.status", "equals": "ok"}`);
+      }
+      parsed.json = 'equals' in spec.json ? { path: spec.json.path, equals: spec.json.equals } : { path: spec.json.path };
+    }
+    if ((parsed.bodyContains !== undefined || parsed.json) && parsed.method === 'HEAD') {
+      throw new Error(`${label} body assertions need the GET method`);
+    }
+    if (spec.timeout !== undefined) {
+      parsed.timeout = this.parseInteger(`${label} timeout`, spec.timeout, { min: 100, max: 60000 });
+    }
+    if (spec.interval !== undefined) {
+      parsed.interval = this.parseInteger(`${label} interval`, spec.interval, { min: 1000, max: 3600000 });
+    }
+
+    return parsed;
+  }
+
+  // Status codes (200) and ranges ("200-299") as [min, max] pairs
+  parseStatusRanges(label, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`${label} expectedStatus must be a non-empty array of codes or "200-299" ranges`);
+    }
+
+    return entries.map((entry) => {
+      const [min, max = min] = String(entry).split('-').map(part => Number(part.trim()));
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 100 || max > 599 || min > max) {
+        throw new Error(`${label} expectedStatus has an invalid code or range: ${entry}`);
+      }
+      return [min, max];
+    });
+  }
+
+  parseSampling(key, raw) {
+    const sampling = this.parseJSON(key, raw);
+
+    if (!sampling || typeof sampling !== 'object' || Array.isArray(sampling)) {
+      throw new Error(`${key} must be a JSON object of event names to sample rates`);
+    }
+
+    for (const [event, rate] of Object.entries(sampling)) {
+      if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+        throw new Error(`${key} rate for ${event} must be a number between 0 and 1`);
+      }
+    }
+
+    return sampling;
+  }
+
+  cloneDefault(value) {
+    return Array.isArray(value) || (value && typeof value === 'object') ?
+      JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  describeValue(raw, rule) {
+    // Never echo secrets back in /health
+    return rule.secret ? '[redacted]' : raw;
+  }
+}
@@ -5,38 +5,66 @@ import { AnalyticsEngine } from './analytics/analyticsEngine.js';
 import { HealthChecker } from './monitoring/healthChecker.js';
 import { LoadBalancer } from './routing/loadBalancer.js';
 import { CompressionOptimizer } from './optimizers/compressionOptimizer.js';
+import { ConfigLoader } from './config/configLoader.js';
+import { MonitorClient } from './monitoring/monitorClient.js';
+import { HealthHistory } from './monitoring/healthHistory.js';
+import { SettingsStore } from './admin/settingsStore.js';
+import { AdminApi } from './admin/adminApi.js';
+import { RequestHedger } from './routing/requestHedger.js';
+import { RetryPolicy } from './routing/retryPolicy.js';
+import { CanaryRouter } from './routing/canaryRouter.js';
+import { SessionAffinity } from './routing/sessionAffinity.js';
+import { RequestCoalescer } from './cache/requestCoalescer.js';
+import { WebSocketProxy } from './routing/websocketProxy.js';
+import { EarlyHintsManager } from './optimizers/earlyHintsManager.js';
+import { RateLimiter } from './security/rateLimiter.js';
+import { RequestTrace } from './analytics/requestTrace.js';
+import { DecisionTrace } from './analytics/decisionTrace.js';
+import { DebugMode, DEBUG_HEADER, DEBUG_TRACE_HEADER } from './admin/debugMode.js';
+import { MaintenanceMode } from './admin/maintenanceMode.js';
+import { ErrorPages } from './admin/errorPages.js';
+import { configureLogging, createLogger } from './utils/logger.js';
+
+export { PerformanceMonitor } from './monitoring/performanceMonitor.js';
+export { RateLimitCounter } from './security/rateLimitCounter.js';
 
 // Initialize router
 const router = Router();
+const logger = createLogger('Worker');
 
-// Global configuration
-const CONFIG = {
-  MAX_CACHE_TTL: 86400, // 24 hours
-  COMPRESSION_LEVEL: 6,
-  ENABLE_HTTP3: true,
-  ENABLE_EARLY_HINTS: true,
-  MONITORING_INTERVAL: 30000, // 30 seconds
-  FAILOVER_TIMEOUT: 5000, // 5 seconds
-  ORIGINS: [
-    'https://primary-server.example.com',
-    'https://secondary-server.example.com',
-    'https://tertiary-server.example.com'
-  ]
-};
+// Global configuration, loaded from env bindings on first request
+let CONFIG;
+let configErrors = [];
 
 // Initialize core components
 let pingOptimizer, cacheManager, analyticsEngine, healthChecker, loadBalancer, compressionOptimizer;
+let monitorClient, settingsStore, adminApi, requestHedger, requestCoalescer, websocketProxy;
+let earlyHintsManager, rateLimiter, debugMode, retryPolicy, maintenanceMode, errorPages;
+let canaryRouter, sessionAffinity;
+let lastStateSync = 0;
+
+// KV key holding the latest scheduled health check results
+const HEALTH_STATE_KEY = 'health:state';
+// KV key holding the check history when the PerformanceMonitor is not bound
+const HEALTH_HISTORY_KEY = 'health:history';
+
+// How long a trace export waits for background stages (cache write, origin body) to finish
+const TRACE_EXPORT_TIMEOUT = 30000;
 
 // Main request handler
 router.all('*', async (request, env, ctx) => {
   const startTime = Date.now();
+  let requestContext;
 
   try {
     // Initialize components if not already done
     if (!pingOptimizer) {
-      await initializeComponents(env, ctx);
+      await initializeComponents(env);
     }
 
+    // Refresh shared health, routing and analytics state from the PerformanceMonitor
+    await syncSharedState(env);
+
     // Extract request information
     const { url, method } = request;
     const requestUrl = new URL(url);
@@ -44,60 +72,168 @@ router.all('*', async (request, env, ctx) => {
     const userAgent = request.headers.get('User-Agent');
     const country = request.cf?.country || 'Unknown';
 
-    // Log incoming request
-    console.log(`[${new Date().toISOString()}] ${method} ${requestUrl.pathname} from ${clientIP} (${country})`);
-
     // Create request context
-    const requestContext = {
+    requestContext = {
       clientIP,
       userAgent,
       country,
       edgeColo: request.cf?.colo || 'Unknown',
       requestId: crypto.randomUUID(),
-      startTime
+      startTime,
+      trace: RequestTrace.fromRequest(request),
+      // Decision trace for authorized debug requests; components record into it when present
+      debug: null,
+      // Canary group and origin pool for proxied requests while a canary runs
+      canary: null,
+      // Origin the client is pinned to (or the key that picks it) when session affinity is on
+      affinity: null,
+      // Request path, header value or client IP that the consistent hash algorithms place on the ring
+      hashKey: null,
+      // Background work started deep in the request path (analytics, learning)
+      waitUntil: (promise) => ctx.waitUntil(promise)
     };
+    if (await debugMode.isAuthorized(request)) {
+      requestContext.debug = new DecisionTrace(requestContext.requestId);
+    }
+
+    logger.debug('request_received', {
+      requestId: requestContext.requestId,
+      method,
+      path: requestUrl.pathname,
+      clientIP,
+      country,
+      edgeColo: requestContext.edgeColo
+    });
+
+    // Maintenance mode turns away everything but the admin API and allowlisted testers
+    if (!requestUrl.pathname.startsWith('/admin/') && maintenanceMode.blocks(request, requestContext)) {
+      return errorPages.render(request, 503, requestContext.requestId, {
+        page: 'maintenance',
+        message: maintenanceMode.message,
+        headers: { 'Retry-After': String(maintenanceMode.retryAfter), 'X-Ping-Booster': 'maintenance' }
+      });
+    }
 
     // Check if this is a health check or monitoring request
     if (requestUrl.pathname === '/health') {
       return await handleHealthCheck(env, requestContext);
     }
 
+    // Everything except the health probe counts against the client's rate limit
+    const rateLimit = await rateLimiter.check(request, requestContext);
+    if (rateLimit && !rateLimit.allowed) {
+      ctx.waitUntil(analyticsEngine.recordRateLimited(requestContext, rateLimit));
+      return errorPages.render(request, 429, requestContext.requestId, {
+        headers: rateLimiter.getRejectionHeaders(rateLimit)
+      });
+    }
+
     if (requestUrl.pathname === '/metrics') {
       return await handleMetrics(env, requestContext);
     }
 
+    if (requestUrl.pathname === '/health/history') {
+      return await handleHealthHistory(env, requestContext);
+    }
+
     if (requestUrl.pathname === '/ping-test') {
       return await handlePingTest(request, env, requestContext);
     }
 
+    if (requestUrl.pathname.startsWith('/admin/')) {
+      // Start from the latest persisted settings so concurrent admins don't overwrite each other
+      await syncSharedState(env, true);
+      return await adminApi.handle(request, requestContext);
+    }
+
+    // Refuse to proxy when there is nowhere valid to send traffic
+    if (CONFIG.ORIGINS.length === 0) {
+      return handleMisconfiguration(requestContext);
+    }
+
+    // Canary split: picks the client's origin pool (and, for canary clients, their cache entries)
+    requestContext.canary = canaryRouter.assign(request, requestContext);
+    if (requestContext.canary) {
+      const { id, group, source } = requestContext.canary;
+      requestContext.debug?.record('canary', { id, group, source });
+    }
+    requestContext.affinity = await sessionAffinity.read(request, requestContext);
+    requestContext.hashKey = loadBalancer.getHashKey(request, requestContext);
+
+    // WebSocket upgrades are proxied as-is, skipping caching, compression and header rewriting
+    if (websocketProxy.isUpgradeRequest(request)) {
+      return await websocketProxy.handle(request, requestContext);
+    }
+
+    // Learned preload hints for this path are looked up alongside the cache and origin
+    const hintsPromise = method === 'GET' ? earlyHintsManager.getHints(requestUrl.pathname) : Promise.resolve([]);
+
     // Check cache first for GET requests
     if (method === 'GET') {
-      const cachedResponse = await cacheManager.get(url, requestContext);
+      const cachedResponse = await requestContext.trace.measure(
+        'cache-lookup',
+        () => cacheManager.get(url, requestContext),
+        hit => (hit ? 'hit' : 'miss')
+      );
       if (cachedResponse) {
         await analyticsEngine.recordCacheHit(requestContext);
-        return addOptimizationHeaders(cachedResponse, requestContext, true);
+        const hintedResponse = earlyHintsManager.applyHints(cachedResponse, await hintsPromise);
+        const finalResponse = addOptimizationHeaders(hintedResponse, requestContext, true);
+        ctx.waitUntil(exportTrace(requestContext));
+        return finalResponse;
       }
     }
 
-    // Get optimal backend server
-    const targetOrigin = await loadBalancer.getOptimalOrigin(requestContext);
-
-    // Apply ping optimizations
-    const optimizedRequest = await pingOptimizer.optimizeRequest(request, targetOrigin, requestContext);
+    // Concurrent GET misses for the same cache key share a single origin fetch
+    let response, targetOrigin, coalesced = null;
+    try {
+      if (method === 'GET') {
+        const cacheKey = cacheManager.generateCacheKey(url, requestContext);
+        ({ response, targetOrigin, coalesced } = await requestCoalescer.run(cacheKey, request, requestContext,
+          () => fetchFromOptimalOrigin(request, env, requestContext),
+          cacheable => requestContext.trace.track('cache-write', cacheManager.set(url, cacheable, requestContext))
+        ));
+        if (coalesced) {
+          analyticsEngine.recordCoalesced(coalesced);
+          requestContext.debug?.record('coalesced', coalesced);
+        }
+      } else {
+        ({ response, targetOrigin } = await fetchFromOptimalOrigin(request, env, requestContext));
+      }
+    } catch (error) {
+      const staleResponse = method === 'GET' ? await serveStaleIfError(url, requestContext, error.message) : null;
+      if (!staleResponse) {
+        throw error;
+      }
+      ctx.waitUntil(exportTrace(requestContext));
+      return staleResponse;
+    }
 
-    // Forward request to backend
-    const response = await fetchWithOptimizations(optimizedRequest, targetOrigin, env, requestContext);
+    // Origins that answered with a server error after retries lose to a stale copy too
+    if (method === 'GET' && response.status >= 500) {
+      const staleResponse = await serveStaleIfError(url, requestContext, `HTTP ${response.status}`);
+      if (staleResponse) {
+        response.body?.cancel?.();
+        ctx.waitUntil(exportTrace(requestContext));
+        return staleResponse;
+      }
+    }
 
-    // Cache response if applicable
-    if (method === 'GET' && response.ok) {
-      ctx.waitUntil(cacheManager.set(url, response.clone(), requestContext));
+    // Learn preloads (only the request that actually went to the origin; the coalescer caches it)
+    if (method === 'GET' && response.ok && !coalesced) {
+      ctx.waitUntil(earlyHintsManager.learn(requestUrl.pathname, response));
     }
 
     // Apply compression if beneficial
-    const compressedResponse = await compressionOptimizer.optimize(response, request, requestContext);
+    const compressedResponse = await requestContext.trace.measure(
+      'compress',
+      () => compressionOptimizer.optimize(response, request, requestContext),
+      compressed => compressed.headers.get('content-encoding')
+    );
+    const hintedResponse = earlyHintsManager.applyHints(compressedResponse, await hintsPromise);
 
     // Add optimization headers and return
-    const finalResponse = addOptimizationHeaders(compressedResponse, requestContext, false);
+    const finalResponse = addOptimizationHeaders(hintedResponse, requestContext, false);
 
     // Record analytics
     const endTime = Date.now();
@@ -109,52 +245,266 @@ router.all('*', async (request, env, ctx) => {
       cacheHit: false,
       targetOrigin
     }));
+    ctx.waitUntil(exportTrace(requestContext));
 
     return finalResponse;
 
   } catch (error) {
-    console.error('Error in main handler:', error);
+    logger.error('request_failed', { requestId: requestContext?.requestId, error });
 
     // Record error in analytics
     const endTime = Date.now();
-    if (typeof requestContext !== 'undefined' && analyticsEngine) {
+    if (requestContext && analyticsEngine) {
       ctx.waitUntil(analyticsEngine.recordError({
         requestId: requestContext.requestId || crypto.randomUUID(),
         endTime,
         duration: endTime - startTime,
         error: error.message,
         country: requestContext.country || 'unknown',
-        edgeColo: requestContext.edgeColo || 'unknown'
+        edgeColo: requestContext.edgeColo || 'unknown',
+        canary: requestContext.canary
       }));
+      ctx.waitUntil(exportTrace(requestContext));
     }
 
-    return new Response('Internal Server Error', {
-      status: 500,
-      headers: {
-        'X-Error-ID': typeof requestContext !== 'undefined' ? requestContext.requestId : crypto.randomUUID(),
-        'X-Ping-Booster': 'error'
-      }
-    });
+    const errorId = requestContext ? requestContext.requestId : crypto.randomUUID();
+    if (!errorPages) {
+      // Failed before the components (and their error pages) were set up
+      return new Response('Internal Server Error', {
+        status: 500,
+        headers: { 'X-Error-ID': errorId, 'X-Ping-Booster': 'error' }
+      });
+    }
+
+    return errorPages.render(request, 500, errorId);
   }
 });
 
 // Initialize all components
-async function initializeComponents(env, ctx) {
+async function initializeComponents(env) {
+  ({ config: CONFIG, errors: configErrors } = new ConfigLoader().load(env));
+  configureLogging(CONFIG);
+  if (configErrors.length > 0) {
+    logger.error('invalid_configuration', { errors: configErrors });
+  }
+
+  monitorClient = new MonitorClient(env.PERFORMANCE_MONITOR, {
+    flushInterval: CONFIG.MONITOR_FLUSH_INTERVAL,
+    batchSize: CONFIG.MONITOR_BATCH_SIZE
+  });
   pingOptimizer = new PingOptimizer(CONFIG);
   cacheManager = new CacheManager(env.CACHE_STORE, CONFIG);
-  analyticsEngine = new AnalyticsEngine(env.ANALYTICS_STORE, env.METRICS);
-  healthChecker = new HealthChecker(CONFIG);
-  loadBalancer = new LoadBalancer(CONFIG.ORIGINS, healthChecker);
+  analyticsEngine = new AnalyticsEngine(env.ANALYTICS_STORE, env.METRICS, CONFIG, monitorClient);
+  healthChecker = new HealthChecker(CONFIG, monitorClient, analyticsEngine);
+  loadBalancer = new LoadBalancer(CONFIG.ORIGINS, healthChecker, CONFIG, monitorClient);
   compressionOptimizer = new CompressionOptimizer(CONFIG);
+  requestHedger = new RequestHedger(CONFIG, loadBalancer);
+  retryPolicy = new RetryPolicy(CONFIG);
+  requestCoalescer = new RequestCoalescer(CONFIG, { cacheManager, monitor: monitorClient });
+  websocketProxy = new WebSocketProxy(CONFIG, { loadBalancer, analyticsEngine });
+  earlyHintsManager = new EarlyHintsManager(env.CACHE_STORE, CONFIG);
+  rateLimiter = new RateLimiter(CONFIG, env.RATE_LIMITER);
+  debugMode = new DebugMode(CONFIG);
+  canaryRouter = new CanaryRouter(CONFIG);
+  sessionAffinity = new SessionAffinity(CONFIG);
+  maintenanceMode = new MaintenanceMode();
+  errorPages = new ErrorPages();
+  settingsStore = new SettingsStore(env.CONFIG_STORE);
+  adminApi = new AdminApi(CONFIG, {
+    loadBalancer,
+    settingsStore,
+    earlyHintsManager,
+    debugMode,
+    maintenanceMode,
+    errorPages,
+    canaryRouter
+  });
+}
+
+// Pull shared state at most once per STATE_SYNC_INTERVAL (or immediately when forced)
+async function syncSharedState(env, force = false) {
+  if (!force && Date.now() - lastStateSync < CONFIG.STATE_SYNC_INTERVAL) {
+    return;
+  }
+
+  lastStateSync = Date.now();
+
+  // Pick up changes made through the admin API on any isolate
+  const [loadBalancerSettings, canarySettings, maintenanceSettings, errorPageSettings] = await Promise.all([
+    settingsStore.get('loadBalancer'),
+    settingsStore.get('canary'),
+    settingsStore.get('maintenance'),
+    settingsStore.get('errorPages')
+  ]);
+  loadBalancer.applySettings(loadBalancerSettings);
+  canaryRouter.applySettings(canarySettings);
+  maintenanceMode.applySettings(maintenanceSettings);
+  errorPages.applySettings(errorPageSettings);
+
+  // Without the Durable Object, fall back to the health results persisted by the cron
+  if (!monitorClient.enabled) {
+    await loadPersistedHealth(env);
+    return;
+  }
+
+  const snapshot = await monitorClient.getSnapshot();
+  if (!snapshot) {
+    return;
+  }
+
+  healthChecker.importState(snapshot);
+  loadBalancer.importState(snapshot);
+  analyticsEngine.importState(snapshot.analytics);
+}
 
-  // Start background monitoring
-  ctx.waitUntil(startBackgroundMonitoring(env, ctx));
+async function loadPersistedHealth(env) {
+  try {
+    const state = await env.ANALYTICS_STORE?.get(HEALTH_STATE_KEY, 'json');
+    if (state) {
+      healthChecker.importState(state);
+    }
+  } catch (error) {
+    logger.error('health_state_load_failed', { error });
+  }
+}
+
+async function persistHealthState(env) {
+  await monitorClient.flush();
+
+  if (env.ANALYTICS_STORE) {
+    await env.ANALYTICS_STORE.put(HEALTH_STATE_KEY, JSON.stringify(healthChecker.exportState()), {
+      // Outlive a few missed cron runs, after which the results are stale anyway
+      expirationTtl: Math.max(60, Math.ceil(CONFIG.MONITORING_INTERVAL * 5 / 1000))
+    });
+  }
+
+  // The PerformanceMonitor keeps the history itself; without it the cron keeps it in KV
+  if (!monitorClient.enabled && env.ANALYTICS_STORE) {
+    await env.ANALYTICS_STORE.put(HEALTH_HISTORY_KEY, JSON.stringify(healthChecker.history.exportState()));
+  }
 }
 
-// Enhanced fetch with multiple optimization layers
-async function fetchWithOptimizations(request, origin, env, context) {
+async function loadHealthHistory(env) {
+  if (monitorClient.enabled) {
+    return monitorClient.getHealthHistory();
+  }
+
+  try {
+    return await env.ANALYTICS_STORE?.get(HEALTH_HISTORY_KEY, 'json');
+  } catch (error) {
+    logger.error('health_history_load_failed', { error });
+    return null;
+  }
+}
+
+// Select an origin, apply ping optimizations and forward the request
+async function fetchFromOptimalOrigin(request, env, context) {
+  // Get optimal backend server
+  const { trace } = context;
+  const targetOrigin = await trace.measure('origin-select', () => loadBalancer.getOptimalOrigin(context));
+
+  // Pin a newly assigned client to the origin it got (cookie affinity)
+  if (context.affinity?.assigned) {
+    context.affinity.cookie = await sessionAffinity.createCookie(context.affinity.assigned);
+  }
+
+  let payload, optimizedRequest;
+  try {
+    // Buffer the body (within RETRY_MAX_BODY_SIZE) so retries and failover can send it again
+    payload = await retryPolicy.prepare(request);
+
+    // Apply ping optimizations
+    optimizedRequest = await trace.measure('ping-optimize', () =>
+      pingOptimizer.optimizeRequest(request, targetOrigin, context, payload.body));
+  } catch (error) {
+    // Nothing was sent, so the origin gets neither an outcome nor a connection back from sendToOrigin
+    loadBalancer.releaseOrigin(targetOrigin);
+    throw error;
+  }
+
+  // Forward request to backend; origin-ttfb covers hedges and retries, origin-body the rest of the download
+  const response = await trace.measure('origin-ttfb', () =>
+    fetchWithOptimizations(optimizedRequest, targetOrigin, env, context, payload));
+
+  return { response: trace.measureBody('origin-body', response), targetOrigin };
+}
+
+// Enhanced fetch with multiple optimization layers. Timeouts, connection errors and RETRY_STATUSES
+// responses move on to the failover origin while the retry policy's attempt and time budget allow.
+async function fetchWithOptimizations(request, origin, env, context, payload) {
+  const retryable = payload.replayable && retryPolicy.isRetryable(request);
+  const deadline = Date.now() + retryPolicy.budget;
+  const canRetry = (attempt) => retryable && retryPolicy.allowsRetry(attempt, deadline);
+  let target = origin;
+
+  for (let attempt = 1; ; attempt++) {
+    // Retryable requests never wait past the budget, even on their last attempt
+    const timeout = retryable ?
+      Math.max(1, Math.min(CONFIG.FAILOVER_TIMEOUT, deadline - Date.now())) : CONFIG.FAILOVER_TIMEOUT;
+    let reason;
+
+    try {
+      const response = await attemptOrigin(request, target, context, payload.body, timeout);
+      if (!retryPolicy.isRetryableStatus(response.status) || !canRetry(attempt)) {
+        return response;
+      }
+
+      // Release the connection of the response we are not going to use
+      response.body?.cancel?.();
+      reason = `HTTP ${response.status}`;
+
+    } catch (error) {
+      if (!canRetry(attempt)) {
+        throw error;
+      }
+      reason = error.name === 'AbortError' ? 'timeout' : 'connection_error';
+    }
+
+    const failoverOrigin = await loadBalancer.getFailoverOrigin(target, context);
+    logger.warn('origin_retry', { requestId: context.requestId, origin: target, failoverOrigin, attempt, reason });
+    context.debug?.append('failovers', { from: target, to: failoverOrigin, attempt, reason });
+    target = failoverOrigin;
+  }
+}
+
+// One attempt at an origin, hedged when the request allows it; timeout covers time to response headers
+async function attemptOrigin(request, origin, context, body, timeout) {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), CONFIG.FAILOVER_TIMEOUT);
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    if (!requestHedger.isHedgeable(request)) {
+      return await sendToOrigin(request, origin, controller.signal, context, body);
+    }
+
+    const result = await requestHedger.fetch(origin, context, (target, signal) =>
+      sendToOrigin(request, target, signal, context, body), controller.signal);
+
+    if (result.hedged) {
+      context.debug?.record('hedge', {
+        primaryOrigin: origin,
+        winningOrigin: result.origin,
+        delay: result.delay
+      });
+      context.waitUntil(analyticsEngine.recordHedge({
+        ...context,
+        primaryOrigin: origin,
+        winningOrigin: result.origin,
+        hedgeWon: result.hedgeWon,
+        delay: result.delay
+      }));
+    }
+    return result.response;
+
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Single upstream attempt; resolves once response headers arrive and feeds the outcome to the load balancer.
+// body is the replayable payload from RetryPolicy.prepare, never the already-read request stream.
+async function sendToOrigin(request, origin, signal, context, body) {
+  const startTime = Date.now();
 
   try {
     // Apply TCP optimization hints
@@ -167,16 +517,15 @@ async function fetchWithOptimizations(request, origin, env, context) {
       optimizedHeaders.set('Alt-Svc', 'h3=":443"; ma=86400');
     }
 
-    // Add early hints for critical resources
-    if (CONFIG.ENABLE_EARLY_HINTS) {
-      optimizedHeaders.set('Link', '</css/critical.css>; rel=preload; as=style, </js/app.js>; rel=preload; as=script');
-    }
+    // The worker's span becomes the origin's parent; debug credentials never leave the edge
+    context.trace.inject(optimizedHeaders);
+    optimizedHeaders.delete(DEBUG_HEADER);
 
     const optimizedRequest = new Request(origin + new URL(request.url).pathname + new URL(request.url).search, {
       method: request.method,
       headers: optimizedHeaders,
-      body: request.body,
-      signal: controller.signal
+      body,
+      signal
     });
 
     const response = await fetch(optimizedRequest, {
@@ -203,47 +552,82 @@ async function fetchWithOptimizations(request, origin, env, context) {
       }
     });
 
-    clearTimeout(timeoutId);
+    // Time to headers feeds the hedge delay and peak EWMA; 5xx responses count against the origin's circuit
+    // and its passive health
+    const latency = Date.now() - startTime;
+    loadBalancer.recordLatency(origin, latency);
+    healthChecker.recordRequest(origin, { latency, status: response.status });
+    const serverError = response.status >= 500;
+    loadBalancer.recordOutcome(origin, !serverError, serverError ? `HTTP ${response.status}` : undefined);
+
     return response;
 
   } catch (error) {
-    clearTimeout(timeoutId);
-
-    if (error.name === 'AbortError') {
-      // Try failover origin
-      console.log(`Request timeout, attempting failover for ${context.requestId}`);
-      const failoverOrigin = await loadBalancer.getFailoverOrigin(origin, context);
-      if (failoverOrigin !== origin) {
-        return fetchWithOptimizations(request, failoverOrigin, env, context);
+    // Losing a hedge race says nothing about the origin's health; RequestHedger frees its probe slot
+    if (signal.reason !== 'hedge-lost') {
+      const timedOut = error.name === 'AbortError';
+      const latency = Date.now() - startTime;
+      if (timedOut) {
+        // The origin took at least this long; latency-aware algorithms should see that at once
+        loadBalancer.recordLatency(origin, latency);
       }
+      healthChecker.recordRequest(origin, { latency, error: timedOut ? 'timeout' : error.message });
+      loadBalancer.recordOutcome(origin, false, timedOut ? 'timeout' : error.message);
     }
 
     throw error;
+
+  } finally {
+    // In flight from selection until headers arrive or the attempt fails
+    loadBalancer.releaseConnection(origin);
   }
 }
 
+// Serve an expired cached copy, within its stale-if-error window, instead of an origin failure
+async function serveStaleIfError(url, context, reason) {
+  const staleResponse = await cacheManager.getStale(url, context);
+  if (!staleResponse) {
+    return null;
+  }
+
+  logger.warn('stale_if_error_served', { requestId: context.requestId, url, reason });
+  context.waitUntil(analyticsEngine.recordStaleIfError(context, reason));
+  return addOptimizationHeaders(staleResponse, context, true, 'STALE-ERROR');
+}
+
 // Add optimization headers to response
-function addOptimizationHeaders(response, context, fromCache) {
+function addOptimizationHeaders(response, context, fromCache, cacheStatus = fromCache ? 'HIT' : 'MISS') {
   const headers = new Headers(response.headers);
 
   // Add ping booster headers
   headers.set('X-Ping-Booster', 'enabled');
   headers.set('X-Request-ID', context.requestId);
   headers.set('X-Edge-Colo', context.edgeColo);
-  headers.set('X-Cache-Status', fromCache ? 'HIT' : 'MISS');
+  headers.set('X-Cache-Status', cacheStatus);
   headers.set('X-Response-Time', `${Date.now() - context.startTime}ms`);
 
-  // Add performance hints
-  headers.set('Server-Timing', `
-    edge;dur=${Date.now() - context.startTime},
-    cache;desc=${fromCache ? 'hit' : 'miss'}
-  `.trim());
+  // Per-stage timings recorded so far (see RequestTrace)
+  headers.set('Server-Timing', context.trace.serverTiming(fromCache));
 
   // Enable browser optimizations
   if (!headers.has('Cache-Control')) {
     headers.set('Cache-Control', 'public, max-age=3600, stale-while-revalidate=86400');
   }
 
+  // Pin first-time canary and session affinity assignments
+  if (context.canary?.setCookie) {
+    headers.append('Set-Cookie', canaryRouter.getCookie(context.canary));
+  }
+  if (context.affinity?.cookie) {
+    headers.append('Set-Cookie', context.affinity.cookie);
+  }
+
+  // The decision trace names origins, so keep it out of shared caches
+  if (context.debug) {
+    headers.set(DEBUG_TRACE_HEADER, context.debug.toHeader());
+    headers.set('Cache-Control', 'private, no-store');
+  }
+
   // Add security headers
   headers.set('X-Content-Type-Options', 'nosniff');
   headers.set('X-Frame-Options', 'DENY');
@@ -255,16 +639,30 @@ function addOptimizationHeaders(response, context, fromCache) {
   });
 }
 
+// Export the request's spans once its background stages finish
+async function exportTrace(context) {
+  await context.trace.settle(TRACE_EXPORT_TIMEOUT);
+  await analyticsEngine.recordTrace(context.trace, context);
+}
+
 // Health check endpoint
 async function handleHealthCheck(_env, context) {
   const healthStatus = await healthChecker.checkAllOrigins();
 
   return new Response(JSON.stringify({
-    status: 'healthy',
+    status: configErrors.length > 0 ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     requestId: context.requestId,
     edgeColo: context.edgeColo,
     origins: healthStatus,
+    states: healthChecker.getStates(),
+    passive: healthChecker.getPassiveStats(),
+    outliers: healthChecker.getOutlierStatus(),
+    circuits: loadBalancer.circuitBreaker.getStats(),
+    config: {
+      valid: configErrors.length === 0,
+      errors: configErrors
+    },
     version: '1.0.0'
   }), {
     headers: {
@@ -274,8 +672,42 @@ async function handleHealthCheck(_env, context) {
   });
 }
 
+// Uptime, incidents and MTTR per origin over the stored check history
+async function handleHealthHistory(env, context) {
+  const history = new HealthHistory(await loadHealthHistory(env) || {});
+
+  return new Response(JSON.stringify({
+    timestamp: new Date().toISOString(),
+    requestId: context.requestId,
+    ...history.getReport(CONFIG.ORIGINS)
+  }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Ping-Booster': 'health-history'
+    }
+  });
+}
+
+// Returned for proxied paths when no valid origins are configured
+function handleMisconfiguration(context) {
+  return new Response(JSON.stringify({
+    error: 'Worker is misconfigured',
+    requestId: context.requestId,
+    errors: configErrors
+  }), {
+    status: 503,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Error-ID': context.requestId,
+      'X-Ping-Booster': 'error'
+    }
+  });
+}
+
 // Metrics endpoint
-async function handleMetrics(_env, _context) {
+async function handleMetrics(env, _context) {
+  // Report totals across all isolates, not just this one
+  await syncSharedState(env, true);
   const metrics = await analyticsEngine.getMetrics();
 
   return new Response(JSON.stringify(metrics), {
@@ -337,15 +769,73 @@ async function handlePingTest(request, env, context) {
   });
 }
 
-// Background monitoring
-async function startBackgroundMonitoring(_env, _ctx) {
-  // This would typically be handled by Durable Objects or scheduled events
-  console.log('Background monitoring started');
+// Background monitoring. The cron fires every minute; MONITORING_INTERVAL decides how many
+// check rounds run within that minute, or how many minutes to skip for longer intervals.
+async function runScheduledMonitoring(controller, env) {
+  const interval = CONFIG.MONITORING_INTERVAL;
+  const minutesPerRun = Math.max(1, Math.round(interval / 60000));
+
+  if (Math.floor(controller.scheduledTime / 60000) % minutesPerRun !== 0) {
+    return;
+  }
+
+  const rounds = Math.max(1, Math.floor(60000 / interval));
+  const startTime = Date.now();
+
+  // Carry on from the shared (or persisted) health state, so a cold isolate's first check
+  // cannot reset an origin's rise/fall state
+  await syncSharedState(env, true);
+
+  // Continue the KV history from the last run, which may have been on another isolate
+  if (!monitorClient.enabled) {
+    healthChecker.importHistory(await loadHealthHistory(env) || {});
+  }
+
+  for (let round = 0; round < rounds; round++) {
+    if (round > 0) {
+      // Stop before the next cron invocation would overlap with this one
+      if (Date.now() - startTime + interval >= 60000) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    const results = await healthChecker.checkAllOrigins();
+    await persistHealthState(env);
+
+    const healthy = Object.values(results).filter(health => health.healthy).length;
+    logger.info('health_round_completed', {
+      round: round + 1,
+      rounds,
+      healthyOrigins: healthy,
+      totalOrigins: CONFIG.ORIGINS.length
+    });
+  }
+
+  healthChecker.cleanup();
+  pingOptimizer.cleanup();
 }
 
 // Export the main handler
 export default {
   async fetch(request, env, ctx) {
-    return router.handle(request, env, ctx);
+    const response = await router.handle(request, env, ctx);
+
+    // Send the isolate's queued shared-state updates to the PerformanceMonitor when the batch is due
+    if (monitorClient) {
+      ctx.waitUntil(monitorClient.flushIfDue());
+    }
+
+    return response;
+  },
+
+  async scheduled(controller, env, _ctx) {
+    if (!pingOptimizer) {
+      await initializeComponents(env);
+    }
+
+    // Awaited rather than left to waitUntil: the rounds sleep between checks, and background work
+    // is cut off soon after the handler returns
+    await runScheduledMonitoring(controller, env);
   }
 };
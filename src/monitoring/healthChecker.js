@@ -1,6 +1,28 @@
+import { createLogger } from '../utils/logger.js';
+import { PassiveHealthTracker } from './passiveHealth.js';
+import { OutlierDetector } from './outlierDetector.js';
+import { HealthHistory } from './healthHistory.js';
+
+const logger = createLogger('HealthChecker');
+
+// Share of the health score taken from live traffic once its window has enough requests
+const PASSIVE_SCORE_WEIGHT = 0.5;
+
+// Used for origins without a HEALTH_CHECKS spec (or for the fields their spec leaves out)
+const DEFAULT_SPEC = {
+  path: '/health',
+  method: 'GET',
+  headers: { 'User-Agent': 'PingBooster-HealthChecker/1.0' },
+  expectedStatus: [[200, 399]]
+};
+
 export class HealthChecker {
-  constructor(config) {
+  constructor(config, monitor = null, analyticsEngine = null) {
     this.config = config;
+    this.monitor = monitor;
+    this.analyticsEngine = analyticsEngine;
+    this.rise = config.HEALTH_RISE || 2;
+    this.fall = config.HEALTH_FALL || 3;
     this.healthCache = new Map();
     this.checkInterval = config.MONITORING_INTERVAL || 30000;
     this.timeout = config.FAILOVER_TIMEOUT || 5000;
@@ -10,6 +32,56 @@ export class HealthChecker {
       errorThreshold: 0.1 // 10%
     };
     this.metrics = new Map();
+    this.specs = new Map();
+    this.passive = new PassiveHealthTracker(config);
+    this.outliers = new OutlierDetector(config);
+    // Check results for uptime reporting; the PerformanceMonitor keeps the shared copy
+    this.history = new HealthHistory();
+  }
+
+  // Outcome of a proxied request: { latency, status } or { latency, error } for timeouts and network errors
+  recordRequest(origin, outcome) {
+    const wasFailing = this.passive.isFailing(origin);
+    this.passive.record(origin, outcome);
+
+    if (!wasFailing && this.passive.isFailing(origin)) {
+      logger.warn('passive_health_failing', { origin, ...this.passive.getStats(origin) });
+    }
+
+    this.outliers.recordResult(origin, Boolean(outcome.error) || outcome.status >= 500);
+    this.outliers.evaluate(() => Object.fromEntries(
+      (this.config.ORIGINS || []).map(item => [item, this.passive.getStats(item)])
+    ));
+  }
+
+  // Bring back origins whose ejection ran out, judged afresh on the traffic they get from now on
+  refreshOutliers() {
+    this.outliers.restoreExpired().forEach(origin => this.passive.reset(origin));
+  }
+
+  // Active check state per configured origin, for /health
+  getStates() {
+    return Object.fromEntries((this.config.ORIGINS || []).map(origin => {
+      const health = this.healthCache.get(`health:${origin}`)?.health;
+      return [origin, {
+        state: health?.state || 'unknown',
+        since: health?.stateSince ? new Date(health.stateSince).toISOString() : null,
+        consecutiveSuccesses: health?.consecutiveSuccesses || 0,
+        consecutiveFailures: health?.consecutiveFailures || 0
+      }];
+    }));
+  }
+
+  getOutlierStatus() {
+    this.refreshOutliers();
+    return this.outliers.getStatus();
+  }
+
+  getPassiveStats() {
+    return Object.fromEntries((this.config.ORIGINS || []).map(origin => [origin, {
+      ...this.passive.getStats(origin),
+      failing: this.passive.isFailing(origin)
+    }]));
   }
 
   async checkAllOrigins() {
@@ -27,45 +99,34 @@ export class HealthChecker {
   async checkOriginHealth(origin) {
     const cacheKey = `health:${origin}`;
     const cached = this.healthCache.get(cacheKey);
+    const spec = this.getSpec(origin);
 
-    // Return cached result if recent
-    if (cached && Date.now() - cached.timestamp < this.checkInterval / 2) {
+    // Return the cached result until the origin's interval is (about) up; rounds run every MONITORING_INTERVAL
+    if (cached && Date.now() - cached.timestamp < spec.interval - this.checkInterval / 2) {
       return cached.health;
     }
 
     const startTime = Date.now();
     const health = {
       healthy: false,
+      passed: false,
+      check: `${spec.method} ${spec.path}`,
       responseTime: null,
       status: null,
       error: null,
       timestamp: startTime,
       checks: {
-        connectivity: false,
-        responseTime: false,
-        statusCode: false,
-        ssl: false
+        status: false,
+        body: null
       }
     };
 
     try {
-      // Perform multiple health checks
-      const results = await Promise.allSettled([
-        this.checkConnectivity(origin),
-        this.checkResponseTime(origin),
-        this.checkStatusCode(origin),
-        this.checkSSL(origin)
-      ]);
-
-      // Process results
-      health.checks.connectivity = results[0].status === 'fulfilled' && results[0].value;
-      health.checks.responseTime = results[1].status === 'fulfilled' && results[1].value;
-      health.checks.statusCode = results[2].status === 'fulfilled' && results[2].value;
-      health.checks.ssl = results[3].status === 'fulfilled' && results[3].value;
-
-      // Calculate overall health
-      const passedChecks = Object.values(health.checks).filter(Boolean).length;
-      health.healthy = passedChecks >= 3; // At least 3 out of 4 checks must pass
+      const result = await this.probe(origin, spec);
+      health.status = result.status;
+      health.checks = result.checks;
+      health.passed = Object.values(result.checks).every(check => check !== false);
+      health.error = result.failure;
 
       // Get detailed metrics if available
       const metrics = this.getOriginMetrics(origin);
@@ -76,14 +137,15 @@ export class HealthChecker {
         health.lastError = metrics.lastError;
       }
 
-      console.log(`Health check for ${origin}: ${health.healthy ? 'HEALTHY' : 'UNHEALTHY'} (${passedChecks}/4 checks passed)`);
+      logger.info('health_checked', { origin, passed: health.passed, check: health.check, status: result.status });
 
     } catch (error) {
-      health.error = error.message;
-      console.error(`Health check failed for ${origin}:`, error);
+      health.error = error.name === 'AbortError' ? `Health check timed out after ${spec.timeout}ms` : error.message;
+      logger.error('health_check_failed', { origin, check: health.check, error });
     }
 
     health.responseTime = Date.now() - startTime;
+    const transition = this.applyState(origin, health, cached?.health);
 
     // Cache the result
     this.healthCache.set(cacheKey, { health, timestamp: Date.now() });
@@ -91,94 +153,147 @@ export class HealthChecker {
     // Update metrics
     this.updateOriginMetrics(origin, health);
 
-    return health;
-  }
+    // Share the result with other isolates
+    this.monitor?.enqueue({
+      type: 'health',
+      origin,
+      entry: this.healthCache.get(cacheKey),
+      metrics: this.metrics.get(origin)
+    });
 
-  async checkConnectivity(origin) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(origin + '/health', {
-        method: 'HEAD',
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'PingBooster-HealthChecker/1.0'
-        }
-      });
+    const result = {
+      timestamp: health.timestamp,
+      passed: health.passed,
+      state: health.state,
+      responseTime: health.responseTime,
+      error: health.error
+    };
+    this.history.record(origin, result);
+    this.monitor?.enqueue({ type: 'healthHistory', origin, result });
 
-      clearTimeout(timeoutId);
-      return response.status < 500; // Accept any non-server error status
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Connection timeout');
-      }
-      throw error;
+    if (transition) {
+      logger.info('health_state_changed', transition);
+      await this.analyticsEngine?.recordHealthTransition(transition);
     }
-  }
 
-  async checkResponseTime(origin) {
-    const startTime = Date.now();
+    return health;
+  }
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+  // Rise/fall hysteresis. The first result settles "unknown"; after that an up origin turns "degraded"
+  // on a failed check (still in rotation) and "down" after HEALTH_FALL failures in a row, and a down
+  // origin needs HEALTH_RISE passing checks in a row to come back up. Returns the transition, if any.
+  applyState(origin, health, previous) {
+    const from = previous?.state || 'unknown';
+    health.consecutiveSuccesses = health.passed ? (previous?.consecutiveSuccesses || 0) + 1 : 0;
+    health.consecutiveFailures = health.passed ? 0 : (previous?.consecutiveFailures || 0) + 1;
+
+    let to = from;
+    if (from === 'unknown') {
+      to = health.passed ? 'up' : 'down';
+    } else if (from === 'down') {
+      to = health.consecutiveSuccesses >= this.rise ? 'up' : 'down';
+    } else if (health.passed) {
+      to = 'up';
+    } else {
+      to = health.consecutiveFailures >= this.fall ? 'down' : 'degraded';
+    }
 
-      await fetch(origin + '/ping', {
-        method: 'HEAD',
-        signal: controller.signal
-      });
+    health.state = to;
+    health.stateSince = to === from && previous?.stateSince ? previous.stateSince : health.timestamp;
+    health.healthy = to === 'up' || to === 'degraded';
 
-      clearTimeout(timeoutId);
-      const responseTime = Date.now() - startTime;
-      return responseTime <= this.healthThresholds.responseTime;
-    } catch (error) {
-      return false;
+    if (to === from) {
+      return null;
     }
+    return {
+      origin,
+      from,
+      to,
+      reason: health.error,
+      consecutiveSuccesses: health.consecutiveSuccesses,
+      consecutiveFailures: health.consecutiveFailures,
+      timestamp: health.timestamp
+    };
   }
 
-  async checkStatusCode(origin) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(origin + '/status', {
-        method: 'GET',
-        signal: controller.signal
-      });
+  // The origin's HEALTH_CHECKS spec over the "default" spec over the built-in one
+  getSpec(origin) {
+    if (!this.specs.has(origin)) {
+      const { default: defaults = {}, [origin]: own = {} } = this.config.HEALTH_CHECKS || {};
+      const spec = {
+        ...DEFAULT_SPEC,
+        timeout: this.timeout,
+        interval: this.checkInterval,
+        ...defaults,
+        ...own,
+        headers: { ...DEFAULT_SPEC.headers, ...defaults.headers, ...own.headers }
+      };
 
-      clearTimeout(timeoutId);
-      return response.ok; // Status 200-299
-    } catch (error) {
-      return false;
+      if (spec.method === 'HEAD' && (spec.bodyContains !== undefined || spec.json)) {
+        logger.warn('health_check_method_changed', { origin, reason: 'body assertions need GET' });
+        spec.method = 'GET';
+      }
+      this.specs.set(origin, spec);
     }
+    return this.specs.get(origin);
   }
 
-  async checkSSL(origin) {
+  // One request per check. HTTPS certificate problems fail the fetch itself, so they need no probe of their own.
+  async probe(origin, spec) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), spec.timeout);
+
     try {
-      const url = new URL(origin);
+      const response = await fetch(origin + spec.path, {
+        method: spec.method,
+        headers: spec.headers,
+        signal: controller.signal
+      });
 
-      // Only check SSL for HTTPS origins
-      if (url.protocol !== 'https:') {
-        return true; // Skip SSL check for HTTP
+      const checks = {
+        status: spec.expectedStatus.some(([min, max]) => response.status >= min && response.status <= max),
+        body: null
+      };
+      if (spec.bodyContains !== undefined || spec.json) {
+        checks.body = this.checkBody(await response.text(), spec);
+      } else {
+        response.body?.cancel?.();
       }
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      let failure = null;
+      if (!checks.status) {
+        failure = `Unexpected status ${response.status}`;
+      } else if (checks.body === false) {
+        failure = 'Response body did not match';
+      }
 
-      const response = await fetch(origin, {
-        method: 'HEAD',
-        signal: controller.signal
-      });
+      return { status: response.status, checks, failure };
 
+    } finally {
       clearTimeout(timeoutId);
+    }
+  }
 
-      // If we get here without SSL errors, certificate is valid
+  checkBody(body, spec) {
+    if (spec.bodyContains !== undefined && !body.includes(spec.bodyContains)) {
+      return false;
+    }
+    if (!spec.json) {
       return true;
-    } catch (error) {
-      // SSL-related errors typically throw during the request
+    }
+
+    let value;
+    try {
+      value = readJsonPath(JSON.parse(body), spec.json.path);
+    } catch {
       return false;
     }
+
+    // Without "equals" the value only has to be present and not false or null
+    if ('equals' in spec.json) {
+      return JSON.stringify(value) === JSON.stringify(spec.json.equals);
+    }
+    return value !== undefined && value !== null && value !== false;
   }
 
   updateOriginMetrics(origin, health) {
@@ -198,7 +313,7 @@ export class HealthChecker {
     metrics.totalChecks++;
     metrics.lastCheck = Date.now();
 
-    if (health.healthy) {
+    if (health.passed ?? health.healthy) {
       metrics.successfulChecks++;
       metrics.lastSuccess = Date.now();
     } else {
@@ -236,17 +351,20 @@ export class HealthChecker {
     const allMetrics = {};
 
     this.metrics.forEach((metrics, origin) => {
+      const passive = this.passive.getStats(origin);
       allMetrics[origin] = {
         ...metrics,
-        healthScore: this.calculateHealthScore(metrics),
-        status: this.getOriginStatus(metrics)
+        passive,
+        healthScore: this.calculateHealthScore(metrics, passive),
+        status: this.getOriginStatus(metrics, passive)
       };
     });
 
     return allMetrics;
   }
 
-  calculateHealthScore(metrics) {
+  // Active probe score, blended with the live traffic score when passive stats are sufficient
+  calculateHealthScore(metrics, passive = null) {
     if (metrics.totalChecks === 0) {
       return 0;
     }
@@ -274,11 +392,21 @@ export class HealthChecker {
       recentScore * recentHealthWeight
     );
 
-    return Math.round(healthScore);
+    if (!passive?.sufficient) {
+      return Math.round(healthScore);
+    }
+
+    // Live traffic: error rate and time to headers, weighted like the probe score
+    const passiveResponseScore = passive.averageLatency === null ? 0 :
+      Math.max(0, 100 - (passive.averageLatency / this.healthThresholds.responseTime) * 100);
+    const passiveScore = (1 - passive.errorRate) * 100 * (successWeight + recentHealthWeight) +
+      passiveResponseScore * responseTimeWeight;
+
+    return Math.round(healthScore * (1 - PASSIVE_SCORE_WEIGHT) + passiveScore * PASSIVE_SCORE_WEIGHT);
   }
 
-  getOriginStatus(metrics) {
-    const healthScore = this.calculateHealthScore(metrics);
+  getOriginStatus(metrics, passive = null) {
+    const healthScore = this.calculateHealthScore(metrics, passive);
 
     if (healthScore >= 90) {
       return 'excellent';
@@ -301,7 +429,7 @@ export class HealthChecker {
     let bestScore = -1;
 
     this.metrics.forEach((metrics, origin) => {
-      const score = this.calculateHealthScore(metrics);
+      const score = this.calculateHealthScore(metrics, this.passive.getStats(origin));
       if (score > bestScore) {
         bestScore = score;
         bestOrigin = origin;
@@ -313,29 +441,30 @@ export class HealthChecker {
 
   // Get origins sorted by health
   getOriginsByHealth() {
-    const origins = Array.from(this.metrics.entries()).map(([origin, metrics]) => ({
-      origin,
-      healthScore: this.calculateHealthScore(metrics),
-      status: this.getOriginStatus(metrics),
-      metrics
-    }));
+    const origins = Array.from(this.metrics.entries()).map(([origin, metrics]) => {
+      const passive = this.passive.getStats(origin);
+      return {
+        origin,
+        healthScore: this.calculateHealthScore(metrics, passive),
+        status: this.getOriginStatus(metrics, passive),
+        metrics
+      };
+    });
 
     return origins.sort((a, b) => b.healthScore - a.healthScore);
   }
 
-  // Check if origin is healthy enough for traffic
+  // Check if origin is healthy enough for traffic: up or degraded by its checks, not failing real
+  // requests and not ejected as an outlier. An origin keeps its state until checks change it.
   isOriginHealthy(origin) {
+    this.refreshOutliers();
+
     const health = this.healthCache.get(`health:${origin}`);
     if (!health) {
       return false;
     }
 
-    // Check if health data is recent
-    if (Date.now() - health.timestamp > this.checkInterval * 2) {
-      return false;
-    }
-
-    return health.health.healthy;
+    return health.health.healthy && !this.passive.isFailing(origin) && !this.outliers.isEjected(origin);
   }
 
   // Get summary statistics
@@ -361,13 +490,50 @@ export class HealthChecker {
     };
   }
 
+  // Serializable form of the health cache, accepted by importState
+  exportState() {
+    const health = {};
+    const healthMetrics = {};
+
+    this.healthCache.forEach((entry, cacheKey) => {
+      const origin = cacheKey.slice('health:'.length);
+      health[origin] = entry;
+      if (this.metrics.has(origin)) {
+        healthMetrics[origin] = this.metrics.get(origin);
+      }
+    });
+
+    return { timestamp: Date.now(), health, healthMetrics };
+  }
+
+  // Adopt health results from shared state when they are newer than ours
+  importState({ health = {}, healthMetrics = {} }) {
+    Object.entries(health).forEach(([origin, entry]) => {
+      const cacheKey = `health:${origin}`;
+      const local = this.healthCache.get(cacheKey);
+
+      if (!local || local.timestamp < entry.timestamp) {
+        this.healthCache.set(cacheKey, entry);
+        if (healthMetrics[origin]) {
+          this.metrics.set(origin, healthMetrics[origin]);
+        }
+      }
+    });
+  }
+
+  // Replace the check history, e.g. with the copy persisted to KV
+  importHistory(origins) {
+    this.history = new HealthHistory(origins);
+  }
+
   // Clean up old cache entries
   cleanup() {
     const now = Date.now();
-    const maxAge = this.checkInterval * 5; // Keep cache for 5 intervals
 
+    // Keep each origin's result (and so its health state) for 5 of its intervals
     this.healthCache.forEach((cached, key) => {
-      if (now - cached.timestamp > maxAge) {
+      const interval = Math.max(this.getSpec(key.slice('health:'.length)).interval, this.checkInterval);
+      if (now - cached.timestamp > interval * 5) {
         this.healthCache.delete(key);
       }
     });
@@ -380,3 +546,9 @@ export class HealthChecker {
     });
   }
 }
+
+// "$.checks[0].status" or "checks.0.status"
+function readJsonPath(value, path) {
+  const keys = path.replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  return keys.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
@@ -0,0 +1,130 @@
+const HOUR = 60 * 60 * 1000;
+const RETENTION = 30 * 24 * HOUR;
+// A flapping origin could otherwise grow its incident list without bound
+const MAX_INCIDENTS = 200;
+// Hourly points returned with the report; the full 30 days stay in storage
+const SERIES_HOURS = 24;
+
+export const UPTIME_WINDOWS = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+  '30d': RETENTION
+};
+
+// 30 days of active check results per origin: hourly [start, checks, passed, totalResponseTime]
+// buckets and the incidents (time spent in the "down" state) that uptime and MTTR are worked out
+// from. Plain JSON, so the same state lives in the PerformanceMonitor or in KV.
+export class HealthHistory {
+  constructor(origins = {}) {
+    this.origins = origins;
+  }
+
+  // result is { timestamp, passed, state, responseTime, error } from one check
+  record(origin, { timestamp, passed, state, responseTime, error }) {
+    if (!this.origins[origin]) {
+      this.origins[origin] = { since: timestamp, lastAt: 0, state: null, series: [], incidents: [] };
+    }
+    const history = this.origins[origin];
+    history.since = Math.min(history.since, timestamp);
+
+    const start = timestamp - (timestamp % HOUR);
+    let bucket = history.series.find(item => item[0] === start);
+    if (!bucket) {
+      bucket = [start, 0, 0, 0];
+      history.series.push(bucket);
+      history.series.sort((a, b) => a[0] - b[0]);
+    }
+    bucket[1]++;
+    bucket[2] += passed ? 1 : 0;
+    bucket[3] += responseTime || 0;
+
+    // Isolates may report out of order; only the newest result moves incidents
+    if (timestamp >= history.lastAt) {
+      history.lastAt = timestamp;
+      history.state = state;
+
+      const open = history.incidents[history.incidents.length - 1];
+      if (state === 'down' && (!open || open.to !== null)) {
+        history.incidents.push({ from: timestamp, to: null, reason: error || null });
+      } else if (state !== 'down' && open?.to === null) {
+        open.to = timestamp;
+      }
+    }
+
+    this.prune(origin, timestamp);
+  }
+
+  prune(origin, now = Date.now()) {
+    const history = this.origins[origin];
+    history.series = history.series.filter(([start]) => start + HOUR > now - RETENTION);
+    history.incidents = history.incidents
+      .filter(incident => incident.to === null || incident.to > now - RETENTION)
+      .slice(-MAX_INCIDENTS);
+  }
+
+  // Uptime is time outside incidents over the part of each window the history covers
+  getUptime(history, now = Date.now()) {
+    const uptime = {};
+    const downtime = {};
+
+    Object.entries(UPTIME_WINDOWS).forEach(([name, length]) => {
+      const start = Math.max(now - length, history.since);
+      const observed = now - start;
+      if (observed <= 0) {
+        uptime[name] = null;
+        downtime[name] = null;
+        return;
+      }
+
+      const down = history.incidents.reduce((sum, incident) =>
+        sum + Math.max(0, Math.min(incident.to ?? now, now) - Math.max(incident.from, start)), 0);
+      uptime[name] = Number(((1 - down / observed) * 100).toFixed(3));
+      downtime[name] = down;
+    });
+
+    return { uptime, downtime };
+  }
+
+  // Per-origin uptime, incidents (newest first), mean time to recovery and the last day of checks
+  getReport(origins = Object.keys(this.origins), now = Date.now()) {
+    return {
+      windows: Object.keys(UPTIME_WINDOWS),
+      origins: Object.fromEntries(origins.map(origin => {
+        const history = this.origins[origin];
+        if (!history) {
+          return [origin, { since: null, state: 'unknown', uptime: null, downtime: null, incidents: [], mttr: null, series: [] }];
+        }
+
+        const resolved = history.incidents.filter(incident => incident.to !== null);
+        const mttr = resolved.length > 0 ?
+          Math.round(resolved.reduce((sum, incident) => sum + incident.to - incident.from, 0) / resolved.length) : null;
+
+        return [origin, {
+          since: new Date(history.since).toISOString(),
+          state: history.state || 'unknown',
+          ...this.getUptime(history, now),
+          incidents: history.incidents.map(({ from, to, reason }) => ({
+            from: new Date(from).toISOString(),
+            to: to === null ? null : new Date(to).toISOString(),
+            duration: (to ?? now) - from,
+            reason
+          })).reverse(),
+          mttr,
+          series: history.series
+            .filter(([start]) => start + HOUR > now - SERIES_HOURS * HOUR)
+            .map(([start, checks, passed, totalResponseTime]) => ({
+              hour: new Date(start).toISOString(),
+              checks,
+              passed,
+              averageResponseTime: checks > 0 ? Math.round(totalResponseTime / checks) : null
+            }))
+        }];
+      }))
+    };
+  }
+
+  exportState() {
+    return this.origins;
+  }
+}
@@ -0,0 +1,181 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MonitorClient');
+
+// An isolate's in-flight counts expire in the DO unless it reports again within this many flush
+// intervals (and never sooner than MIN_CONNECTION_TTL), so an evicted isolate's requests stop
+// counting
+const CONNECTION_TTL_FLUSHES = 3;
+const MIN_CONNECTION_TTL = 30000;
+
+// Talks to the PerformanceMonitor Durable Object. Writes are queued synchronously by the
+// components and sent in batches of at most one per MONITOR_FLUSH_INTERVAL per isolate (sooner
+// once MONITOR_BATCH_SIZE operations are queued), so neither the hot path nor the single global
+// object sees a call per request. Counter deltas are summed before they are sent; connection
+// counts are reported as this isolate's current totals, so only the latest report is sent.
+export class MonitorClient {
+  constructor(namespace, { name = 'global', flushInterval = 0, batchSize = 1 } = {}) {
+    this.namespace = namespace;
+    this.name = name;
+    this.flushInterval = flushInterval;
+    this.batchSize = batchSize;
+    this.stub = namespace ? namespace.get(namespace.idFromName(name)) : null;
+    this.pendingOperations = [];
+    this.lastFlush = 0;
+    this.isolateId = crypto.randomUUID();
+    this.connectionTtl = Math.max(CONNECTION_TTL_FLUSHES * flushInterval, MIN_CONNECTION_TTL);
+  }
+
+  get enabled() {
+    return this.stub !== null;
+  }
+
+  enqueue(operation) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (operation.type === 'connections') {
+      operation = { ...operation, isolate: this.isolateId, ttl: this.connectionTtl };
+    }
+    this.pendingOperations.push(operation);
+  }
+
+  // Called after every request; the batch goes out once it is big or old enough
+  async flushIfDue(now = Date.now()) {
+    if (this.pendingOperations.length >= this.batchSize || now - this.lastFlush >= this.flushInterval) {
+      await this.flush();
+    }
+  }
+
+  async flush() {
+    if (!this.enabled || this.pendingOperations.length === 0) {
+      return;
+    }
+
+    const operations = compact(this.pendingOperations);
+    this.pendingOperations = [];
+    this.lastFlush = Date.now();
+
+    try {
+      await this.request('POST', '/batch', { operations });
+    } catch (error) {
+      logger.error('flush_failed', { operations: operations.length, error });
+    }
+  }
+
+  async getSnapshot() {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      // Connection counts come back without this isolate's own, which it tracks locally
+      return await this.request('GET', `/state?isolate=${this.isolateId}`);
+    } catch (error) {
+      logger.error('snapshot_failed', { error });
+      return null;
+    }
+  }
+
+  // Raw check history by origin, for HealthHistory
+  async getHealthHistory() {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      return await this.request('GET', '/history');
+    } catch (error) {
+      logger.error('history_failed', { error });
+      return null;
+    }
+  }
+
+  // Cross-isolate lock used for request coalescing. While another isolate holds it, waits up to
+  // wait ms for the release: { acquired: false } plus the holder's result, or unshared when it had
+  // none to share. Fails open when the DO is unreachable.
+  async acquireLock(key, ttl, wait = 0) {
+    if (!this.enabled) {
+      return { acquired: true };
+    }
+
+    try {
+      return await this.request('POST', '/locks/acquire', { key, ttl, wait });
+    } catch (error) {
+      logger.error('lock_acquire_failed', { key, error });
+      return { acquired: true };
+    }
+  }
+
+  // Hands result to the isolates waiting on the key, and to those asking for it in the next
+  // shareFor ms; with shareFor but no result they go to the origin instead
+  async releaseLock(key, { result = null, shareFor = 0 } = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      await this.request('POST', '/locks/release', { key, result, shareFor });
+    } catch (error) {
+      logger.error('lock_release_failed', { key, error });
+    }
+  }
+
+  async request(method, path, body) {
+    const response = await this.stub.fetch(`https://performance-monitor${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`PerformanceMonitor ${method} ${path} returned ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+// The latest connections report and one analytics delta for the whole batch; health, latency and
+// history entries are kept as they are
+function compact(operations) {
+  let connections = null;
+  const analytics = {};
+  const others = [];
+
+  operations.forEach(operation => {
+    if (operation.type === 'connections') {
+      connections = operation;
+    } else if (operation.type === 'analytics') {
+      mergeCounters(analytics, operation.delta || {});
+    } else {
+      others.push(operation);
+    }
+  });
+
+  if (connections) {
+    others.push(connections);
+  }
+  if (Object.keys(analytics).length > 0) {
+    others.push({ type: 'analytics', delta: analytics });
+  }
+  return others;
+}
+
+// Adds numeric counters and one level of nested counters (countries, statusCodes, ...)
+export function mergeCounters(target, delta) {
+  for (const [key, value] of Object.entries(delta)) {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+      continue;
+    }
+
+    const counters = target[key] || {};
+    for (const [name, count] of Object.entries(value)) {
+      counters[name] = (counters[name] || 0) + count;
+    }
+    target[key] = counters;
+  }
+  return target;
+}
@@ -0,0 +1,167 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('OutlierDetector');
+
+// Mean and standard deviation say little about fewer origins than this
+const MIN_ORIGINS_FOR_STATISTICS = 3;
+const MAX_EVENTS = 20;
+
+// Envoy-style outlier detection: origins are ejected for OUTLIER_CONSECUTIVE_5XX failures in a row,
+// or for a success rate or latency more than OUTLIER_STDEV_FACTOR standard deviations worse than the
+// pool mean. Each repeat offense ejects for another OUTLIER_BASE_EJECTION_TIME, up to
+// OUTLIER_MAX_EJECTION_TIME, and at most OUTLIER_MAX_EJECTION_PERCENT of the pool is out at once.
+export class OutlierDetector {
+  constructor(config = {}) {
+    this.poolSize = config.ORIGINS?.length || 0;
+    this.consecutiveLimit = config.OUTLIER_CONSECUTIVE_5XX ?? 5;
+    this.stdevFactor = config.OUTLIER_STDEV_FACTOR || 1.9;
+    this.interval = config.OUTLIER_INTERVAL || 10000;
+    this.baseEjectionTime = config.OUTLIER_BASE_EJECTION_TIME || 30000;
+    this.maxEjectionTime = config.OUTLIER_MAX_EJECTION_TIME || 300000;
+    this.maxEjectionPercent = config.OUTLIER_MAX_EJECTION_PERCENT ?? 50;
+
+    this.consecutiveFailures = new Map();
+    this.ejections = new Map();
+    // origin -> { count, lastEndedAt } of past ejections, for the growing ejection time
+    this.offenses = new Map();
+    this.events = [];
+    this.lastEvaluation = null;
+  }
+
+  // Never the whole pool, however high the percentage
+  get maxEjected() {
+    return Math.min(this.poolSize - 1, Math.floor(this.poolSize * this.maxEjectionPercent / 100));
+  }
+
+  recordResult(origin, failed, now = Date.now()) {
+    if (!failed) {
+      this.consecutiveFailures.set(origin, 0);
+      return;
+    }
+
+    const count = (this.consecutiveFailures.get(origin) || 0) + 1;
+    this.consecutiveFailures.set(origin, count);
+    if (this.consecutiveLimit > 0 && count >= this.consecutiveLimit) {
+      this.eject(origin, 'consecutive_5xx', { consecutiveFailures: count }, now);
+    }
+  }
+
+  // Statistical checks at most once per OUTLIER_INTERVAL; collectStats() returns passive stats by origin
+  evaluate(collectStats, now = Date.now()) {
+    if (this.lastEvaluation !== null && now - this.lastEvaluation < this.interval) {
+      return;
+    }
+    this.lastEvaluation = now;
+
+    const sufficient = Object.entries(collectStats())
+      .filter(([origin, stats]) => stats.sufficient && !this.isEjected(origin, now));
+    if (sufficient.length < MIN_ORIGINS_FOR_STATISTICS) {
+      return;
+    }
+
+    const successRates = sufficient.map(([origin, stats]) => [origin, 1 - stats.errorRate]);
+    const successLimit = this.limit(successRates, -1);
+    successRates
+      .filter(([, rate]) => rate < successLimit)
+      .forEach(([origin, rate]) => this.eject(origin, 'success_rate', {
+        successRate: Number(rate.toFixed(4)),
+        threshold: Number(successLimit.toFixed(4))
+      }, now));
+
+    const latencies = sufficient
+      .filter(([, stats]) => stats.averageLatency !== null)
+      .map(([origin, stats]) => [origin, stats.averageLatency]);
+    if (latencies.length >= MIN_ORIGINS_FOR_STATISTICS) {
+      const latencyLimit = this.limit(latencies, 1);
+      latencies
+        .filter(([origin, latency]) => latency > latencyLimit && !this.isEjected(origin, now))
+        .forEach(([origin, latency]) => this.eject(origin, 'latency', {
+          averageLatency: latency,
+          threshold: Math.round(latencyLimit)
+        }, now));
+    }
+  }
+
+  // mean + direction * factor * stdev, or a bound nothing crosses when every origin is alike
+  limit(values, direction) {
+    const numbers = values.map(([, value]) => value);
+    const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+    const variance = numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / numbers.length;
+    const stdev = Math.sqrt(variance);
+    if (stdev === 0) {
+      return direction < 0 ? -Infinity : Infinity;
+    }
+    return mean + direction * this.stdevFactor * stdev;
+  }
+
+  eject(origin, reason, detail, now = Date.now()) {
+    if (this.isEjected(origin, now)) {
+      return false;
+    }
+
+    if (this.getEjected(now).length >= this.maxEjected) {
+      logger.warn('outlier_ejection_skipped', { origin, reason, ...detail, maxEjected: this.maxEjected });
+      return false;
+    }
+
+    // Offenses are forgiven once the origin has stayed in for a full maximum ejection time
+    const previous = this.offenses.get(origin);
+    const count = previous && now - previous.lastEndedAt < this.maxEjectionTime ? previous.count + 1 : 1;
+    const duration = Math.min(this.baseEjectionTime * count, this.maxEjectionTime);
+
+    this.offenses.set(origin, { count, lastEndedAt: now + duration });
+    this.ejections.set(origin, { reason, detail, ejectedAt: now, until: now + duration, offense: count });
+    this.consecutiveFailures.set(origin, 0);
+    this.addEvent({ type: 'ejected', origin, reason, ...detail, duration, offense: count, at: now });
+    logger.warn('outlier_ejected', { origin, reason, ...detail, duration, offense: count });
+    return true;
+  }
+
+  // Origins whose ejection has run out; the caller resets their passive stats
+  restoreExpired(now = Date.now()) {
+    const restored = [];
+    this.ejections.forEach((ejection, origin) => {
+      if (ejection.until <= now) {
+        this.ejections.delete(origin);
+        this.addEvent({ type: 'restored', origin, reason: ejection.reason, at: now });
+        logger.info('outlier_restored', { origin, reason: ejection.reason, ejectedFor: now - ejection.ejectedAt });
+        restored.push(origin);
+      }
+    });
+    return restored;
+  }
+
+  isEjected(origin, now = Date.now()) {
+    const ejection = this.ejections.get(origin);
+    return Boolean(ejection && ejection.until > now);
+  }
+
+  getEjected(now = Date.now()) {
+    return Array.from(this.ejections.keys()).filter(origin => this.isEjected(origin, now));
+  }
+
+  addEvent(event) {
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+  }
+
+  getStatus(now = Date.now()) {
+    return {
+      maxEjected: this.maxEjected,
+      ejected: this.getEjected(now).map(origin => {
+        const { reason, detail, ejectedAt, until, offense } = this.ejections.get(origin);
+        return {
+          origin,
+          reason,
+          ...detail,
+          offense,
+          ejectedAt: new Date(ejectedAt).toISOString(),
+          until: new Date(until).toISOString()
+        };
+      }),
+      events: this.events.map(event => ({ ...event, at: new Date(event.at).toISOString() }))
+    };
+  }
+}
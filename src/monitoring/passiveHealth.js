@@ -0,0 +1,77 @@
+// Bucket count per window; stats move forward one bucket (window / 12) at a time
+const BUCKETS = 12;
+
+// Per-origin sliding window over proxied traffic: request count, 5xx responses, network errors and
+// timeouts, and time to response headers. Kept per isolate, fed by every upstream attempt.
+export class PassiveHealthTracker {
+  constructor(config = {}) {
+    this.window = config.PASSIVE_HEALTH_WINDOW || 60000;
+    this.minRequests = config.PASSIVE_HEALTH_MIN_REQUESTS || 20;
+    this.errorThreshold = config.PASSIVE_HEALTH_ERROR_RATE || 0.5;
+    this.bucketSize = Math.max(1, Math.floor(this.window / BUCKETS));
+    this.windows = new Map();
+  }
+
+  // outcome is { latency, status } for a response or { latency, error } for a failed attempt
+  record(origin, { latency, status, error }, now = Date.now()) {
+    const start = now - (now % this.bucketSize);
+    const buckets = this.prune(origin, now);
+
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, serverErrors: 0, networkErrors: 0, responses: 0, totalLatency: 0 };
+      buckets.push(bucket);
+    }
+
+    bucket.requests++;
+    if (error) {
+      bucket.networkErrors++;
+      return;
+    }
+
+    if (status >= 500) {
+      bucket.serverErrors++;
+    }
+    if (Number.isFinite(latency)) {
+      bucket.responses++;
+      bucket.totalLatency += latency;
+    }
+  }
+
+  prune(origin, now) {
+    const buckets = (this.windows.get(origin) || []).filter(bucket => bucket.start > now - this.window);
+    this.windows.set(origin, buckets);
+    return buckets;
+  }
+
+  getStats(origin, now = Date.now()) {
+    const totals = this.prune(origin, now).reduce((sum, bucket) => ({
+      requests: sum.requests + bucket.requests,
+      serverErrors: sum.serverErrors + bucket.serverErrors,
+      networkErrors: sum.networkErrors + bucket.networkErrors,
+      responses: sum.responses + bucket.responses,
+      totalLatency: sum.totalLatency + bucket.totalLatency
+    }), { requests: 0, serverErrors: 0, networkErrors: 0, responses: 0, totalLatency: 0 });
+
+    const failures = totals.serverErrors + totals.networkErrors;
+    return {
+      requests: totals.requests,
+      serverErrors: totals.serverErrors,
+      networkErrors: totals.networkErrors,
+      errorRate: totals.requests > 0 ? Number((failures / totals.requests).toFixed(4)) : 0,
+      averageLatency: totals.responses > 0 ? Math.round(totals.totalLatency / totals.responses) : null,
+      // Too few requests in the window to judge the origin on
+      sufficient: totals.requests >= this.minRequests
+    };
+  }
+
+  // Start over, e.g. when an ejected origin comes back
+  reset(origin) {
+    this.windows.delete(origin);
+  }
+
+  isFailing(origin, now = Date.now()) {
+    const stats = this.getStats(origin, now);
+    return stats.sufficient && stats.errorRate >= this.errorThreshold;
+  }
+}
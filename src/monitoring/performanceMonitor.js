@@ -0,0 +1,297 @@
+import { createLogger } from '../utils/logger.js';
+import { HealthHistory } from './healthHistory.js';
+import { mergeCounters } from './monitorClient.js';
+
+const logger = createLogger('PerformanceMonitor');
+
+const MAX_LATENCY_SAMPLES = 100;
+// Each origin's check history is stored under its own key to stay within the value size limit
+const HISTORY_PREFIX = 'history:';
+
+// Durable Object holding the origin health, load balancer and analytics state shared by all isolates
+export class PerformanceMonitor {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.health = {};
+    this.healthMetrics = {};
+    this.latencyHistory = {};
+    // In-flight counts by isolate: { counts, expiresAt }. Not persisted; a report that is not
+    // renewed expires, so an evicted isolate's requests stop counting
+    this.connectionReports = new Map();
+    this.analytics = this.createAnalyticsCounters();
+    this.healthHistory = new HealthHistory();
+    // Storage keys changed since the last persist; only those are written
+    this.changed = new Set();
+    // Short-lived coalescing locks; not persisted, an evicted lock simply expires early
+    this.locks = new Map();
+    // Requests waiting for a lock's release, and what released locks handed on: { outcome, expiresAt }
+    this.lockWaiters = new Map();
+    this.lockResults = new Map();
+
+    // Restore persisted state before serving any request
+    this.state.blockConcurrencyWhile(async () => {
+      const stored = await this.state.storage.get([
+        'health',
+        'healthMetrics',
+        'latencyHistory',
+        'analytics'
+      ]);
+
+      this.health = stored.get('health') || {};
+      this.healthMetrics = stored.get('healthMetrics') || {};
+      this.latencyHistory = stored.get('latencyHistory') || {};
+      this.analytics = stored.get('analytics') || this.createAnalyticsCounters();
+
+      const history = await this.state.storage.list({ prefix: HISTORY_PREFIX });
+      history.forEach((entry, key) => {
+        this.healthHistory.origins[key.slice(HISTORY_PREFIX.length)] = entry;
+      });
+    });
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    try {
+      if (request.method === 'GET' && url.pathname === '/state') {
+        return this.json(this.getSnapshot(url.searchParams.get('isolate')));
+      }
+
+      if (request.method === 'GET' && url.pathname === '/history') {
+        return this.json(this.healthHistory.exportState());
+      }
+
+      if (request.method === 'POST' && url.pathname === '/batch') {
+        const { operations = [] } = await request.json();
+        operations.forEach(operation => this.applyOperation(operation));
+        await this.persist();
+        return this.json({ applied: operations.length });
+      }
+
+      if (request.method === 'POST' && url.pathname === '/locks/acquire') {
+        const { key, ttl, wait = 0 } = await request.json();
+        return this.json(await this.acquireLock(key, ttl, wait));
+      }
+
+      if (request.method === 'POST' && url.pathname === '/locks/release') {
+        const { key, result = null, shareFor = 0 } = await request.json();
+        this.releaseLock(key, result, shareFor);
+        return this.json({ released: true });
+      }
+
+      return this.json({ error: 'Not found' }, 404);
+
+    } catch (error) {
+      logger.error('request_failed', { path: url.pathname, error });
+      return this.json({ error: error.message }, 500);
+    }
+  }
+
+  applyOperation(operation) {
+    switch (operation.type) {
+    case 'health':
+      this.applyHealth(operation);
+      break;
+    case 'latency':
+      this.applyLatency(operation);
+      this.changed.add('latencyHistory');
+      break;
+    case 'connections':
+      this.applyConnections(operation);
+      break;
+    case 'analytics':
+      this.applyAnalytics(operation.delta || {});
+      this.changed.add('analytics');
+      break;
+    case 'healthHistory':
+      this.healthHistory.record(operation.origin, operation.result);
+      this.changed.add(`${HISTORY_PREFIX}${operation.origin}`);
+      break;
+    default:
+      logger.warn('unknown_operation', { type: operation.type });
+    }
+  }
+
+  applyHealth({ origin, entry, metrics }) {
+    const current = this.health[origin];
+
+    // Isolates may report out of order; keep the most recent check
+    if (!current || current.timestamp <= entry.timestamp) {
+      this.health[origin] = entry;
+      this.changed.add('health');
+      if (metrics) {
+        this.healthMetrics[origin] = metrics;
+        this.changed.add('healthMetrics');
+      }
+    }
+  }
+
+  applyLatency({ origin, latency, timestamp }) {
+    const history = this.latencyHistory[origin] || [];
+    history.push({ latency, timestamp });
+
+    if (history.length > MAX_LATENCY_SAMPLES) {
+      history.splice(0, history.length - MAX_LATENCY_SAMPLES);
+    }
+
+    this.latencyHistory[origin] = history;
+  }
+
+  applyConnections({ isolate, counts, ttl }) {
+    this.connectionReports.set(isolate, { counts, expiresAt: Date.now() + ttl });
+  }
+
+  // Sums the live reports, leaving out the asking isolate's own
+  getConnectionCounts(excludeIsolate = null) {
+    const now = Date.now();
+    const totals = {};
+
+    this.connectionReports.forEach((report, isolate) => {
+      if (report.expiresAt <= now) {
+        this.connectionReports.delete(isolate);
+        return;
+      }
+      if (isolate === excludeIsolate) {
+        return;
+      }
+      Object.entries(report.counts).forEach(([origin, count]) => {
+        totals[origin] = (totals[origin] || 0) + count;
+      });
+    });
+
+    return totals;
+  }
+
+  applyAnalytics(delta) {
+    mergeCounters(this.analytics, delta);
+  }
+
+  // A held lock is waited on (up to wait ms) rather than polled; waiters get what the holder
+  // releases it with
+  async acquireLock(key, ttl, wait) {
+    const now = Date.now();
+
+    const released = this.lockResults.get(key);
+    if (released && released.expiresAt > now) {
+      return released.outcome;
+    }
+
+    const expiresAt = this.locks.get(key);
+    if (expiresAt && expiresAt > now) {
+      return wait > 0 ? this.waitForRelease(key, Math.min(wait, expiresAt - now)) : { acquired: false };
+    }
+
+    this.locks.set(key, now + ttl);
+
+    // Drop expired locks and results so the maps cannot grow without bound
+    this.locks.forEach((lockExpiresAt, lockKey) => {
+      if (lockExpiresAt <= now) {
+        this.locks.delete(lockKey);
+      }
+    });
+    this.lockResults.forEach((entry, resultKey) => {
+      if (entry.expiresAt <= now) {
+        this.lockResults.delete(resultKey);
+      }
+    });
+
+    return { acquired: true };
+  }
+
+  waitForRelease(key, timeout) {
+    return new Promise(resolve => {
+      const waiters = this.lockWaiters.get(key) || new Set();
+      const waiter = outcome => {
+        clearTimeout(timer);
+        waiters.delete(waiter);
+        resolve(outcome);
+      };
+      const timer = setTimeout(() => waiter({ acquired: false }), timeout);
+
+      waiters.add(waiter);
+      this.lockWaiters.set(key, waiters);
+    });
+  }
+
+  // result is kept for shareFor ms for isolates that ask after the release; shareFor without a
+  // result tells them to go to the origin. Without either, waiters try for the lock again.
+  releaseLock(key, result, shareFor) {
+    this.locks.delete(key);
+
+    let outcome = { acquired: false };
+    if (shareFor > 0) {
+      outcome = result ? { acquired: false, result } : { acquired: false, unshared: true };
+      this.lockResults.set(key, { outcome, expiresAt: Date.now() + shareFor });
+    }
+
+    const waiters = this.lockWaiters.get(key);
+    this.lockWaiters.delete(key);
+    waiters?.forEach(waiter => waiter(outcome));
+  }
+
+  getSnapshot(excludeIsolate = null) {
+    return {
+      timestamp: Date.now(),
+      health: this.health,
+      healthMetrics: this.healthMetrics,
+      latencyHistory: this.latencyHistory,
+      connectionCounts: this.getConnectionCounts(excludeIsolate),
+      analytics: this.analytics
+    };
+  }
+
+  // Writes only the keys the batch changed
+  async persist() {
+    if (this.changed.size === 0) {
+      return;
+    }
+
+    const entries = {};
+    this.changed.forEach(key => {
+      entries[key] = key.startsWith(HISTORY_PREFIX) ?
+        this.healthHistory.origins[key.slice(HISTORY_PREFIX.length)] : this[key];
+    });
+    this.changed.clear();
+
+    await this.state.storage.put(entries);
+  }
+
+  createAnalyticsCounters() {
+    return {
+      requests: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      staleIfErrorServed: 0,
+      errors: 0,
+      totalLatency: 0,
+      countries: {},
+      userAgents: {},
+      origins: {},
+      statusCodes: {},
+      hedgedRequests: 0,
+      hedgeWins: 0,
+      coalescedRequests: 0,
+      crossIsolateCoalesced: 0,
+      websocketSessions: 0,
+      websocketMessages: 0,
+      websocketDuration: 0,
+      websocketRttTotal: 0,
+      websocketRttSamples: 0,
+      rateLimited: 0,
+      rateLimitedCountries: {},
+      rateLimitedColos: {},
+      canaryRequests: {},
+      canaryErrors: {},
+      canaryLatency: {},
+      healthTransitions: {}
+    };
+  }
+
+  json(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
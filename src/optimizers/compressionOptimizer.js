@@ -1,3 +1,7 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CompressionOptimizer');
+
 export class CompressionOptimizer {
   constructor(config) {
     this.config = config;
@@ -21,31 +25,37 @@ export class CompressionOptimizer {
 
     // Skip if already compressed
     if (response.headers.get('content-encoding')) {
+      context.debug?.record('compression', { format: null, reason: 'already_encoded' });
       return response;
     }
 
     // Skip if not compressible
     if (!this.isCompressible(contentType)) {
+      context.debug?.record('compression', { format: null, reason: 'not_compressible', contentType });
       return response;
     }
 
     // Skip if too small (overhead not worth it)
     if (contentLength > 0 && contentLength < 1024) {
+      context.debug?.record('compression', { format: null, reason: 'too_small', contentLength });
       return response;
     }
 
     // Determine best compression format
     const compressionFormat = this.selectCompressionFormat(acceptEncoding);
     if (!compressionFormat) {
+      context.debug?.record('compression', { format: null, reason: 'not_accepted', acceptEncoding });
       return response;
     }
 
     try {
       const compressedResponse = await this.compressResponse(response, compressionFormat, context);
-      console.log(`Applied ${compressionFormat} compression for request ${context.requestId}`);
+      logger.debug('response_compressed', { requestId: context.requestId, format: compressionFormat });
+      context.debug?.record('compression', { format: compressionFormat, acceptEncoding });
       return compressedResponse;
     } catch (error) {
-      console.error(`Compression failed for ${context.requestId}:`, error);
+      logger.error('compression_failed', { requestId: context.requestId, format: compressionFormat, error });
+      context.debug?.record('compression', { format: null, reason: 'failed', error: error.message });
       return response; // Return original on compression failure
     }
   }
@@ -0,0 +1,214 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('EarlyHintsManager');
+
+// Learns preload candidates per path from origin responses and replays them as Link headers,
+// which Cloudflare turns into 103 Early Hints on later requests for the same path
+export class EarlyHintsManager {
+  constructor(kvStore, config) {
+    this.kvStore = kvStore;
+    this.enabled = Boolean(config.ENABLE_EARLY_HINTS) && Boolean(kvStore);
+    this.maxHintsPerPath = config.EARLY_HINTS_MAX_PER_PATH || 10;
+    this.ttl = config.EARLY_HINTS_TTL || 86400; // seconds
+    this.learnInterval = 300000; // Re-learn a path at most every 5 minutes per isolate
+    this.maxHtmlScan = 64 * 1024; // Preloads live in <head>, no need to read the whole page
+    this.lastLearned = new Map();
+    this.hintRels = ['preload', 'modulepreload', 'preconnect'];
+  }
+
+  async getHints(path) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    try {
+      const stored = await this.kvStore.get(this.storageKey(path), { type: 'json', cacheTtl: 60 });
+      return this.pruneExpired(stored?.hints || []);
+    } catch (error) {
+      logger.error('hints_load_failed', { path, error });
+      return [];
+    }
+  }
+
+  // Add learned hints to an HTML response as a Link header, keeping any the origin already sent
+  applyHints(response, hints) {
+    const contentType = response.headers.get('content-type') || '';
+    if (hints.length === 0 || !contentType.includes('text/html')) {
+      return response;
+    }
+
+    const existing = response.headers.get('link') || '';
+    const missing = hints.filter(hint => !existing.includes(`<${hint.href}>`));
+    if (missing.length === 0) {
+      return response;
+    }
+
+    const headers = new Headers(response.headers);
+    const links = missing.map(hint => this.formatLink(hint)).join(', ');
+    headers.set('Link', existing ? `${existing}, ${links}` : links);
+
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  }
+
+  // Takes the response the client gets and returns the background work. Only an HTML body that
+  // will be scanned is cloned, so other responses are never buffered for an unread copy.
+  learn(path, response) {
+    if (!this.enabled || response.status !== 200) {
+      return Promise.resolve();
+    }
+
+    const lastLearned = this.lastLearned.get(path);
+    if (lastLearned && Date.now() - lastLearned < this.learnInterval) {
+      return Promise.resolve();
+    }
+    this.lastLearned.set(path, Date.now());
+
+    const linkHeader = response.headers.get('link') || '';
+    const contentType = response.headers.get('content-type') || '';
+    const html = contentType.includes('text/html') ? response.clone() : null;
+    return this.store(path, linkHeader, html);
+  }
+
+  async store(path, linkHeader, html) {
+    try {
+      const discovered = this.parseLinkHeader(linkHeader);
+      if (html) {
+        discovered.push(...this.parseHtml((await html.text()).slice(0, this.maxHtmlScan)));
+      }
+
+      if (discovered.length === 0) {
+        return;
+      }
+
+      const hints = this.mergeHints(await this.getHints(path), discovered);
+      await this.kvStore.put(this.storageKey(path), JSON.stringify({ path, hints, updatedAt: Date.now() }), {
+        expirationTtl: Math.max(60, this.ttl)
+      });
+
+      logger.debug('hints_learned', { path, hints: hints.length });
+    } catch (error) {
+      logger.error('hints_learn_failed', { path, error });
+    }
+  }
+
+  parseLinkHeader(header) {
+    const hints = [];
+
+    header.split(/,(?=\s*<)/).forEach(part => {
+      const match = part.match(/<([^>]+)>(.*)/);
+      if (!match) {
+        return;
+      }
+
+      const params = this.parseAttributes(match[2].replace(/;/g, ' '));
+      const rel = (params.rel || '').toLowerCase();
+      if (this.hintRels.includes(rel)) {
+        hints.push(this.createHint(match[1], rel, params.as, params.crossorigin));
+      }
+    });
+
+    return hints.filter(hint => this.isUsableHref(hint.href));
+  }
+
+  parseHtml(html) {
+    const hints = [];
+
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+      const attributes = this.parseAttributes(tag);
+      const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+      if (!attributes.href) {
+        continue;
+      }
+
+      if (rels.includes('stylesheet')) {
+        hints.push(this.createHint(attributes.href, 'preload', 'style'));
+      } else if (rels.includes('preload') || rels.includes('modulepreload')) {
+        hints.push(this.createHint(
+          attributes.href,
+          rels.includes('preload') ? 'preload' : 'modulepreload',
+          attributes.as,
+          attributes.crossorigin
+        ));
+      }
+    }
+
+    for (const [tag] of html.matchAll(/<script\b[^>]*>/gi)) {
+      const attributes = this.parseAttributes(tag);
+      if (attributes.src) {
+        const isModule = (attributes.type || '').toLowerCase() === 'module';
+        hints.push(this.createHint(attributes.src, isModule ? 'modulepreload' : 'preload', 'script'));
+      }
+    }
+
+    return hints.filter(hint => this.isUsableHref(hint.href));
+  }
+
+  parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([a-zA-Z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))|\b(crossorigin)\b/g;
+
+    for (const match of source.matchAll(pattern)) {
+      if (match[5]) {
+        attributes.crossorigin = attributes.crossorigin ?? '';
+        continue;
+      }
+      attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+
+    return attributes;
+  }
+
+  createHint(href, rel, as, crossorigin) {
+    const hint = { href, rel, lastSeen: Date.now() };
+    if (as) {
+      hint.as = as;
+    }
+    if (crossorigin !== undefined) {
+      hint.crossorigin = crossorigin || 'anonymous';
+    }
+    return hint;
+  }
+
+  isUsableHref(href) {
+    return href.startsWith('/') || href.startsWith('https://');
+  }
+
+  // Refresh known hints, add new ones, and keep the most recently seen up to the cap
+  mergeHints(existing, discovered) {
+    const byHref = new Map(existing.map(hint => [hint.href, hint]));
+    discovered.forEach(hint => byHref.set(hint.href, { ...byHref.get(hint.href), ...hint }));
+
+    return this.pruneExpired(Array.from(byHref.values()))
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, this.maxHintsPerPath);
+  }
+
+  pruneExpired(hints) {
+    const cutoff = Date.now() - this.ttl * 1000;
+    return hints.filter(hint => hint.lastSeen > cutoff);
+  }
+
+  formatLink(hint) {
+    let link = `<${hint.href}>; rel=${hint.rel}`;
+    if (hint.as) {
+      link += `; as=${hint.as}`;
+    }
+    if (hint.crossorigin) {
+      link += `; crossorigin=${hint.crossorigin}`;
+    }
+    return link;
+  }
+
+  storageKey(path) {
+    return `hints:${encodeURIComponent(path)}`;
+  }
+
+  async clearHints(path) {
+    await this.kvStore.delete(this.storageKey(path));
+    this.lastLearned.delete(path);
+  }
+}
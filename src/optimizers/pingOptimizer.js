@@ -1,3 +1,7 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('PingOptimizer');
+
 export class PingOptimizer {
   constructor(config) {
     this.config = config;
@@ -11,7 +15,8 @@ export class PingOptimizer {
     ];
   }
 
-  async optimizeRequest(request, targetOrigin, context) {
+  // body defaults to the request's own stream; pass the buffered copy once it has been read
+  async optimizeRequest(request, targetOrigin, context, body = request.body) {
     // Apply various ping optimization techniques
     const optimizedHeaders = new Headers(request.headers);
 
@@ -33,7 +38,7 @@ export class PingOptimizer {
     return new Request(request.url, {
       method: request.method,
       headers: optimizedHeaders,
-      body: request.body
+      body
     });
   }
 
@@ -53,7 +58,7 @@ export class PingOptimizer {
     // Enable Selective Acknowledgment
     headers.set('TCP-SACK', '1');
 
-    console.log(`Applied TCP optimizations for request ${context.requestId}`);
+    logger.debug('tcp_optimized', { requestId: context.requestId });
   }
 
   applyDNSOptimizations(headers, targetOrigin) {
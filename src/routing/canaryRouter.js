@@ -0,0 +1,179 @@
+import { fnv1a } from '../utils/crypto.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CanaryRouter');
+
+export const CANARY_HEADER = 'X-Ping-Booster-Canary';
+export const CANARY_COOKIE = 'pb_canary';
+
+const GROUPS = ['canary', 'baseline'];
+
+// Splits clients between a canary origin set and the remaining (baseline) origins. A client's group
+// comes from, in order: the force header, its canary cookie, a hash of its IP, or a coin flip.
+// Started, promoted and aborted through /admin/canary and shared through CONFIG_STORE.
+export class CanaryRouter {
+  constructor(config) {
+    this.allOrigins = config.ORIGINS || [];
+    this.stickiness = config.CANARY_STICKINESS || 'cookie';
+    this.cookieTtl = config.CANARY_COOKIE_TTL || 86400;
+    this.applySettings(null);
+  }
+
+  applySettings(settings) {
+    this.id = settings?.id ?? null;
+    this.status = settings?.status ?? 'inactive';
+    // Ignore origins that are no longer configured
+    this.origins = (settings?.origins ?? []).filter(origin => this.allOrigins.includes(origin));
+    this.percentage = settings?.percentage ?? 0;
+    this.startedAt = settings?.startedAt ?? null;
+    this.endedAt = settings?.endedAt ?? null;
+
+    if (this.status !== 'inactive' && this.origins.length === 0) {
+      this.status = 'inactive';
+    }
+  }
+
+  exportSettings() {
+    return {
+      id: this.id,
+      status: this.status,
+      origins: [...this.origins],
+      percentage: this.percentage,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt
+    };
+  }
+
+  get baselineOrigins() {
+    return this.allOrigins.filter(origin => !this.origins.includes(origin));
+  }
+
+  // Start a canary, or change the split of the running one without reshuffling its clients
+  start({ origins, percentage }) {
+    if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+      throw new Error('percentage must be a number between 0 and 100');
+    }
+
+    const canaryOrigins = origins ?? this.origins;
+    if (!Array.isArray(canaryOrigins) || canaryOrigins.length === 0) {
+      throw new Error('origins must be a non-empty array of configured origins');
+    }
+    const unknown = canaryOrigins.filter(origin => !this.allOrigins.includes(origin));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown origins: ${unknown.join(', ')}`);
+    }
+    if (canaryOrigins.length >= this.allOrigins.length) {
+      throw new Error('At least one origin must stay in the baseline');
+    }
+
+    const sameOrigins = canaryOrigins.length === this.origins.length &&
+      canaryOrigins.every(origin => this.origins.includes(origin));
+    if (this.status !== 'active' || !sameOrigins) {
+      this.id = Date.now().toString(36);
+      this.startedAt = Date.now();
+      this.endedAt = null;
+    }
+
+    this.status = 'active';
+    this.origins = [...canaryOrigins];
+    this.percentage = percentage;
+    logger.info('canary_started', { id: this.id, origins: this.origins, percentage });
+  }
+
+  // Send every client to the canary origins until ORIGINS is updated and the canary cleared
+  promote() {
+    this.end('promoted');
+  }
+
+  // Send every client back to the baseline origins
+  abort() {
+    this.end('aborted');
+  }
+
+  end(status) {
+    if (this.status !== 'active') {
+      throw new Error(`No active canary to mark ${status} (status: ${this.status})`);
+    }
+    this.status = status;
+    this.endedAt = Date.now();
+    logger.info(`canary_${status}`, { id: this.id, origins: this.origins });
+  }
+
+  clear() {
+    this.applySettings(null);
+    logger.info('canary_cleared');
+  }
+
+  // The client's group and origin pool, or null when no canary is configured
+  assign(request, context) {
+    if (this.status === 'inactive') {
+      return null;
+    }
+
+    const { group, source } = this.chooseGroup(request, context);
+    return {
+      id: this.id,
+      group,
+      source,
+      origins: group === 'canary' ? this.origins : this.baselineOrigins,
+      // Pin first-time clients so they keep their group if their IP changes
+      setCookie: this.stickiness === 'cookie' && this.status === 'active' && ['ip', 'random'].includes(source)
+    };
+  }
+
+  chooseGroup(request, context) {
+    if (this.status === 'promoted') {
+      return { group: 'canary', source: 'promoted' };
+    }
+    if (this.status === 'aborted') {
+      return { group: 'baseline', source: 'aborted' };
+    }
+
+    const forced = request.headers.get(CANARY_HEADER)?.trim().toLowerCase();
+    if (GROUPS.includes(forced)) {
+      return { group: forced, source: 'header' };
+    }
+
+    if (this.stickiness === 'cookie') {
+      const pinned = this.readCookie(request);
+      if (pinned) {
+        return { group: pinned, source: 'cookie' };
+      }
+    }
+
+    // Hashing with the canary id reshuffles clients between canaries but not within one
+    const bucket = context.clientIP ?
+      fnv1a(`${this.id}:${context.clientIP}`) % 10000 :
+      Math.floor(Math.random() * 10000);
+    return {
+      group: bucket < this.percentage * 100 ? 'canary' : 'baseline',
+      source: context.clientIP ? 'ip' : 'random'
+    };
+  }
+
+  // Cookies from an earlier canary are ignored
+  readCookie(request) {
+    const cookies = request.headers.get('Cookie') || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${CANARY_COOKIE}=([^;]+)`));
+    const [id, group] = (match?.[1] || '').split('.');
+    return id === this.id && GROUPS.includes(group) ? group : null;
+  }
+
+  getCookie(assignment) {
+    return `${CANARY_COOKIE}=${assignment.id}.${assignment.group}; Path=/; Max-Age=${this.cookieTtl}; ` +
+      'HttpOnly; Secure; SameSite=Lax';
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      status: this.status,
+      origins: this.origins,
+      baselineOrigins: this.status === 'inactive' ? this.allOrigins : this.baselineOrigins,
+      percentage: this.percentage,
+      stickiness: this.stickiness,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      endedAt: this.endedAt ? new Date(this.endedAt).toISOString() : null
+    };
+  }
+}
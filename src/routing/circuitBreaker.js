@@ -0,0 +1,148 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CircuitBreaker');
+
+// Per-origin circuit breaker driven by the outcome of real proxied requests
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.failureThreshold = config.CIRCUIT_FAILURE_THRESHOLD || 5;
+    this.openDuration = config.CIRCUIT_OPEN_DURATION || 30000;
+    this.halfOpenProbes = config.CIRCUIT_HALF_OPEN_PROBES || 1;
+    this.states = {
+      CLOSED: 'closed',
+      OPEN: 'open',
+      HALF_OPEN: 'half_open'
+    };
+    this.circuits = new Map();
+  }
+
+  getCircuit(origin) {
+    if (!this.circuits.has(origin)) {
+      this.circuits.set(origin, {
+        state: this.states.CLOSED,
+        consecutiveFailures: 0,
+        probesInFlight: 0,
+        probeSuccesses: 0,
+        openedAt: null,
+        lastStateChange: Date.now(),
+        lastFailure: null,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        timesOpened: 0
+      });
+    }
+
+    return this.circuits.get(origin);
+  }
+
+  // Whether a request may be sent to this origin right now
+  isAvailable(origin) {
+    const circuit = this.getCircuit(origin);
+
+    if (circuit.state === this.states.OPEN) {
+      if (Date.now() - circuit.openedAt < this.openDuration) {
+        return false;
+      }
+      this.transition(origin, circuit, this.states.HALF_OPEN);
+    }
+
+    if (circuit.state === this.states.HALF_OPEN) {
+      return circuit.probesInFlight < this.halfOpenProbes;
+    }
+
+    return true;
+  }
+
+  // Called once an origin has been selected; reserves a probe slot when half-open
+  acquire(origin) {
+    const circuit = this.getCircuit(origin);
+    if (circuit.state === this.states.HALF_OPEN) {
+      circuit.probesInFlight++;
+    }
+  }
+
+  // Hands back a probe slot for an attempt that ended without an outcome (a lost hedge race, a
+  // selection never sent), so the half-open circuit can probe again
+  release(origin) {
+    const circuit = this.getCircuit(origin);
+    if (circuit.state === this.states.HALF_OPEN) {
+      circuit.probesInFlight = Math.max(0, circuit.probesInFlight - 1);
+    }
+  }
+
+  recordSuccess(origin) {
+    const circuit = this.getCircuit(origin);
+    circuit.totalSuccesses++;
+    circuit.consecutiveFailures = 0;
+
+    if (circuit.state === this.states.HALF_OPEN) {
+      circuit.probesInFlight = Math.max(0, circuit.probesInFlight - 1);
+      circuit.probeSuccesses++;
+
+      if (circuit.probeSuccesses >= this.halfOpenProbes) {
+        this.transition(origin, circuit, this.states.CLOSED);
+      }
+    }
+  }
+
+  recordFailure(origin, reason) {
+    const circuit = this.getCircuit(origin);
+    circuit.totalFailures++;
+    circuit.consecutiveFailures++;
+    circuit.lastFailure = { reason, timestamp: Date.now() };
+
+    // A failed probe reopens immediately
+    if (circuit.state === this.states.HALF_OPEN) {
+      circuit.probesInFlight = Math.max(0, circuit.probesInFlight - 1);
+      this.transition(origin, circuit, this.states.OPEN);
+      return;
+    }
+
+    if (circuit.state === this.states.CLOSED && circuit.consecutiveFailures >= this.failureThreshold) {
+      this.transition(origin, circuit, this.states.OPEN);
+    }
+  }
+
+  transition(origin, circuit, state) {
+    const previous = circuit.state;
+    circuit.state = state;
+    circuit.lastStateChange = Date.now();
+    circuit.probeSuccesses = 0;
+
+    if (state === this.states.OPEN) {
+      circuit.openedAt = Date.now();
+      circuit.timesOpened++;
+    }
+    // Probes from an earlier half-open period no longer hold slots
+    if (state === this.states.CLOSED || state === this.states.HALF_OPEN) {
+      circuit.consecutiveFailures = 0;
+      circuit.probesInFlight = 0;
+    }
+
+    logger.info('circuit_state_changed', { origin, from: previous, to: state });
+  }
+
+  getState(origin) {
+    return this.getCircuit(origin).state;
+  }
+
+  getStats() {
+    const stats = {};
+
+    this.circuits.forEach((circuit, origin) => {
+      stats[origin] = {
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        probesInFlight: circuit.probesInFlight,
+        timesOpened: circuit.timesOpened,
+        totalFailures: circuit.totalFailures,
+        totalSuccesses: circuit.totalSuccesses,
+        lastFailure: circuit.lastFailure,
+        lastStateChange: circuit.lastStateChange,
+        retryAt: circuit.state === this.states.OPEN ? circuit.openedAt + this.openDuration : null
+      };
+    });
+
+    return stats;
+  }
+}
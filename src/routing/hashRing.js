@@ -0,0 +1,72 @@
+import { mixedHash } from '../utils/crypto.js';
+
+const HASH_SPACE = 2 ** 32;
+
+// Consistent hash ring with virtual nodes. A key belongs to the first node clockwise from its hash,
+// so adding or removing one of N origins only moves the keys on that origin's arcs (about 1/N).
+export class HashRing {
+  constructor(origins, virtualNodes = 160) {
+    this.virtualNodes = virtualNodes;
+    this.setOrigins(origins);
+  }
+
+  setOrigins(origins) {
+    this.origins = [...origins];
+    this.nodes = [];
+    this.origins.forEach(origin => {
+      for (let i = 0; i < this.virtualNodes; i++) {
+        this.nodes.push({ hash: mixedHash(`${origin}#${i}`), origin });
+      }
+    });
+    this.nodes.sort((a, b) => a.hash - b.hash);
+  }
+
+  // Index of the first node at or after the key's position
+  findStart(hash) {
+    let low = 0;
+    let high = this.nodes.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.nodes[mid].hash < hash) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low % this.nodes.length;
+  }
+
+  // Eligible origins in ring order from the key's position, each listed once
+  walk(key, eligible = this.origins) {
+    const ordered = [];
+    if (this.nodes.length === 0) {
+      return ordered;
+    }
+
+    const start = this.findStart(mixedHash(key));
+    for (let i = 0; i < this.nodes.length && ordered.length < eligible.length; i++) {
+      const { origin } = this.nodes[(start + i) % this.nodes.length];
+      if (eligible.includes(origin) && !ordered.includes(origin)) {
+        ordered.push(origin);
+      }
+    }
+    return ordered;
+  }
+
+  lookup(key, eligible = this.origins) {
+    return this.walk(key, eligible)[0] || null;
+  }
+
+  // Fraction of the hash space (and so of keys) each origin owns
+  getDistribution() {
+    const shares = Object.fromEntries(this.origins.map(origin => [origin, 0]));
+    this.nodes.forEach((node, index) => {
+      const previous = index === 0 ? this.nodes[this.nodes.length - 1].hash - HASH_SPACE : this.nodes[index - 1].hash;
+      shares[node.origin] += (node.hash - previous) / HASH_SPACE;
+    });
+
+    return Object.fromEntries(
+      Object.entries(shares).map(([origin, share]) => [origin, Number(share.toFixed(4))])
+    );
+  }
+}
@@ -1,22 +1,52 @@
+import { CircuitBreaker } from './circuitBreaker.js';
+import { HashRing } from './hashRing.js';
+import { createLogger } from '../utils/logger.js';
+import { mixedHash } from '../utils/crypto.js';
+
+const logger = createLogger('LoadBalancer');
+
 export class LoadBalancer {
-  constructor(origins, healthChecker) {
+  constructor(origins, healthChecker, config = {}, monitor = null) {
     this.origins = origins || [];
     this.healthChecker = healthChecker;
+    this.config = config;
+    this.monitor = monitor;
     this.algorithms = {
       ROUND_ROBIN: 'round_robin',
       LEAST_CONNECTIONS: 'least_connections',
       WEIGHTED_ROUND_ROBIN: 'weighted_round_robin',
       LATENCY_BASED: 'latency_based',
       GEOGRAPHIC: 'geographic',
-      HEALTH_SCORE: 'health_score'
+      HEALTH_SCORE: 'health_score',
+      CONSISTENT_HASH: 'consistent_hash',
+      BOUNDED_LOAD_HASH: 'bounded_load_hash',
+      PEAK_EWMA: 'peak_ewma',
+      POWER_OF_TWO_CHOICES: 'p2c'
     };
 
     this.currentAlgorithm = this.algorithms.HEALTH_SCORE;
     this.roundRobinIndex = 0;
     this.connectionCounts = new Map();
+    // Requests this isolate has in flight; connectionCounts adds other isolates' shared counts
+    this.inFlight = new Map();
     this.latencyHistory = new Map();
+    // Peak EWMA latency per origin ({ value, updatedAt }), local to this isolate
+    this.ewmaLatencies = new Map();
+    this.ewmaDecayTime = config.EWMA_DECAY_TIME || 10000;
+    // What an origin without timings costs while a request to it is still in flight
+    this.unmeasuredCost = config.FAILOVER_TIMEOUT || 5000;
     this.weights = new Map();
     this.geographicMapping = new Map();
+    this.circuitBreaker = new CircuitBreaker(config);
+    this.hashRing = new HashRing(this.origins, config.HASH_VIRTUAL_NODES || 160);
+    this.hashKeySource = config.HASH_KEY || 'path';
+    this.hashHeader = config.HASH_HEADER;
+    this.loadFactor = config.HASH_LOAD_FACTOR || 1.25;
+
+    if (this.hashKeySource === 'header' && !this.hashHeader) {
+      logger.warn('hash_key_fallback', { reason: 'header keys need HASH_HEADER', keySource: 'path' });
+      this.hashKeySource = 'path';
+    }
 
     // Initialize default weights
     this.initializeWeights();
@@ -43,46 +73,208 @@ export class LoadBalancer {
   async getOptimalOrigin(context) {
     // Get healthy origins first
     const healthyOrigins = await this.getHealthyOrigins();
+    context?.debug?.record('origins', this.origins.map(origin => ({
+      origin,
+      healthy: this.healthChecker.isOriginHealthy(origin),
+      circuit: this.circuitBreaker.getState(origin),
+      eligible: healthyOrigins.includes(origin)
+    })));
 
     if (healthyOrigins.length === 0) {
-      console.warn('No healthy origins available, using fallback');
-      return this.origins[0]; // Fallback to first origin
+      logger.warn('no_healthy_origins', { requestId: context?.requestId });
+      // Fallback to the first origin whose circuit is not open
+      const fallback = this.origins.find(origin => this.circuitBreaker.isAvailable(origin)) || this.origins[0];
+      return this.acquireOrigin(fallback);
+    }
+
+    const candidates = this.restrictToPool(healthyOrigins, context);
+    const pinned = this.resolveAffinity(candidates, context);
+    if (pinned) {
+      return this.acquireOrigin(pinned);
+    }
+
+    const selected = await this.selectOrigin(candidates, context);
+    if (context?.affinity?.mode === 'cookie') {
+      // First visit, or the pinned origin is no longer usable: pin the client here instead
+      context.affinity.assigned = selected;
+      context.debug?.record('affinity', { mode: 'cookie', result: context.affinity.origin ? 'repinned' : 'assigned' });
+    }
+    return this.acquireOrigin(selected);
+  }
+
+  // The origin a client is pinned to (see SessionAffinity), if it is still among the usable origins
+  resolveAffinity(origins, context) {
+    const affinity = context?.affinity;
+    if (!affinity) {
+      return null;
     }
 
-    if (healthyOrigins.length === 1) {
-      return healthyOrigins[0];
+    if (affinity.origin) {
+      if (origins.includes(affinity.origin)) {
+        context.debug?.record('affinity', { mode: affinity.mode, result: 'honored', origin: affinity.origin });
+        return affinity.origin;
+      }
+      logger.info('affinity_repinned', { requestId: context.requestId, from: affinity.origin });
+      return null;
+    }
+
+    if (affinity.key) {
+      const origin = this.rendezvous(origins, affinity.key);
+      context.debug?.record('affinity', { mode: affinity.mode, result: 'hashed', origin });
+      return origin;
+    }
+
+    return null;
+  }
+
+  // Highest-random-weight hashing: a key only moves when its own origin leaves the set
+  rendezvous(origins, key) {
+    let best = null;
+    let bestScore = -1;
+    for (const origin of origins) {
+      const score = mixedHash(`${key}|${origin}`);
+      if (score > bestScore) {
+        bestScore = score;
+        best = origin;
+      }
+    }
+    return best;
+  }
+
+  // Keep canary and baseline clients inside their pool while it has a usable origin
+  restrictToPool(origins, context) {
+    const pool = context?.canary?.origins;
+    if (!pool) {
+      return origins;
+    }
+
+    const inPool = origins.filter(origin => pool.includes(origin));
+    if (inPool.length === 0) {
+      logger.warn('canary_pool_unavailable', { requestId: context.requestId, group: context.canary.group });
+      return origins;
+    }
+    return inPool;
+  }
+
+  async selectOrigin(origins, context) {
+    const selected = await this.runAlgorithm(origins, context);
+
+    if (context?.debug) {
+      let purpose = 'primary';
+      if (context.isFailover) {
+        purpose = 'failover';
+      } else if (context.isHedge) {
+        purpose = 'hedge';
+      }
+
+      context.debug.append('selections', {
+        purpose,
+        algorithm: this.currentAlgorithm,
+        candidates: this.describeCandidates(origins, context),
+        selected
+      });
+    }
+
+    return selected;
+  }
+
+  async runAlgorithm(origins, context) {
+    if (origins.length === 1) {
+      return origins[0];
     }
 
     // Select based on current algorithm
     switch (this.currentAlgorithm) {
     case this.algorithms.ROUND_ROBIN:
-      return this.roundRobin(healthyOrigins);
+      return this.roundRobin(origins, context);
 
     case this.algorithms.LEAST_CONNECTIONS:
-      return this.leastConnections(healthyOrigins);
+      return this.leastConnections(origins, context);
 
     case this.algorithms.WEIGHTED_ROUND_ROBIN:
-      return this.weightedRoundRobin(healthyOrigins);
+      return this.weightedRoundRobin(origins, context);
 
     case this.algorithms.LATENCY_BASED:
-      return await this.latencyBased(healthyOrigins, context);
+      return await this.latencyBased(origins, context);
 
     case this.algorithms.GEOGRAPHIC:
-      return this.geographic(healthyOrigins, context);
+      return this.geographic(origins, context);
 
     case this.algorithms.HEALTH_SCORE:
-      return await this.healthScoreBased(healthyOrigins);
+      return await this.healthScoreBased(origins, context);
+
+    case this.algorithms.CONSISTENT_HASH:
+      return this.consistentHash(origins, context);
+
+    case this.algorithms.BOUNDED_LOAD_HASH:
+      return this.boundedLoadHash(origins, context);
+
+    case this.algorithms.PEAK_EWMA:
+      return this.peakEwma(origins, context);
+
+    case this.algorithms.POWER_OF_TWO_CHOICES:
+      return this.powerOfTwoChoices(origins, context);
 
     default:
-      return this.roundRobin(healthyOrigins);
+      return this.roundRobin(origins, context);
+    }
+  }
+
+  // The per-origin inputs the current algorithm weighs, for debug-mode decision traces
+  describeCandidates(origins, context) {
+    const healthScores = new Map(
+      this.healthChecker.getOriginsByHealth?.().map(item => [item.origin, item.healthScore]) || []
+    );
+    const hashed = [this.algorithms.CONSISTENT_HASH, this.algorithms.BOUNDED_LOAD_HASH].includes(this.currentAlgorithm);
+    const ringShares = hashed ? this.hashRing.getDistribution() : {};
+    const capacity = this.getLoadCapacity(origins);
+
+    return Object.fromEntries(origins.map(origin => {
+      switch (this.currentAlgorithm) {
+      case this.algorithms.LEAST_CONNECTIONS:
+        return [origin, { connections: this.connectionCounts.get(origin) || 0 }];
+      case this.algorithms.WEIGHTED_ROUND_ROBIN:
+        return [origin, { weight: this.weights.get(origin) || 1 }];
+      case this.algorithms.LATENCY_BASED:
+        return [origin, { averageLatency: this.getAverageLatency(origin) }];
+      case this.algorithms.GEOGRAPHIC:
+        return [origin, { mappedToColo: this.geographicMapping.get(context.edgeColo) === origin }];
+      case this.algorithms.HEALTH_SCORE:
+        return [origin, { healthScore: healthScores.get(origin) ?? null }];
+      case this.algorithms.CONSISTENT_HASH:
+        return [origin, { ringShare: ringShares[origin] }];
+      case this.algorithms.BOUNDED_LOAD_HASH:
+        return [origin, { ringShare: ringShares[origin], connections: this.connectionCounts.get(origin) || 0, capacity }];
+      case this.algorithms.PEAK_EWMA:
+      case this.algorithms.POWER_OF_TWO_CHOICES:
+        return [origin, {
+          ewmaLatency: this.getEwmaLatency(origin),
+          connections: this.connectionCounts.get(origin) || 0,
+          cost: this.getLoadCost(origin)
+        }];
+      default:
+        return [origin, { position: origins.indexOf(origin) }];
+      }
+    }));
+  }
+
+  // Reserve a half-open probe slot for the chosen origin and count the request as in flight
+  // until the caller hands it back through releaseConnection
+  acquireOrigin(origin) {
+    if (origin) {
+      this.circuitBreaker.acquire(origin);
+      this.connectionCounts.set(origin, (this.connectionCounts.get(origin) || 0) + 1);
+      this.inFlight.set(origin, (this.inFlight.get(origin) || 0) + 1);
+      this.reportConnections();
     }
+    return origin;
   }
 
   async getHealthyOrigins() {
     const healthyOrigins = [];
 
     for (const origin of this.origins) {
-      if (this.healthChecker.isOriginHealthy(origin)) {
+      if (this.healthChecker.isOriginHealthy(origin) && this.circuitBreaker.isAvailable(origin)) {
         healthyOrigins.push(origin);
       }
     }
@@ -90,15 +282,20 @@ export class LoadBalancer {
     return healthyOrigins;
   }
 
-  roundRobin(origins) {
+  roundRobin(origins, context) {
     const origin = origins[this.roundRobinIndex % origins.length];
     this.roundRobinIndex++;
 
-    console.log(`Round robin selected: ${origin} (index: ${this.roundRobinIndex - 1})`);
+    logger.debug('origin_selected', {
+      requestId: context?.requestId,
+      algorithm: 'round_robin',
+      origin,
+      index: this.roundRobinIndex - 1
+    });
     return origin;
   }
 
-  leastConnections(origins) {
+  leastConnections(origins, context) {
     let selectedOrigin = origins[0];
     let minConnections = this.connectionCounts.get(selectedOrigin) || 0;
 
@@ -110,14 +307,16 @@ export class LoadBalancer {
       }
     }
 
-    // Increment connection count
-    this.connectionCounts.set(selectedOrigin, minConnections + 1);
-
-    console.log(`Least connections selected: ${selectedOrigin} (${minConnections + 1} connections)`);
+    logger.debug('origin_selected', {
+      requestId: context?.requestId,
+      algorithm: 'least_connections',
+      origin: selectedOrigin,
+      connections: minConnections
+    });
     return selectedOrigin;
   }
 
-  weightedRoundRobin(origins) {
+  weightedRoundRobin(origins, context) {
     // Calculate total weight for available origins
     const totalWeight = origins.reduce((sum, origin) =>
       sum + (this.weights.get(origin) || 1), 0
@@ -130,7 +329,12 @@ export class LoadBalancer {
     for (const origin of origins) {
       currentWeight += this.weights.get(origin) || 1;
       if (random <= currentWeight) {
-        console.log(`Weighted round robin selected: ${origin} (weight: ${this.weights.get(origin)})`);
+        logger.debug('origin_selected', {
+          requestId: context?.requestId,
+          algorithm: 'weighted_round_robin',
+          origin,
+          weight: this.weights.get(origin)
+        });
         return origin;
       }
     }
@@ -139,7 +343,64 @@ export class LoadBalancer {
     return origins[0];
   }
 
-  async latencyBased(_origins, _context) {
+  // Ring key for the consistent hash algorithms: the URL path, HASH_HEADER's value or the client IP
+  getHashKey(request, context) {
+    switch (this.hashKeySource) {
+    case 'header':
+      return request.headers.get(this.hashHeader)?.trim() || null;
+    case 'ip':
+      return context.clientIP || null;
+    default:
+      return new URL(request.url).pathname;
+    }
+  }
+
+  // Same key, same origin; adding or removing one of N origins remaps about 1/N of the keys
+  consistentHash(origins, context) {
+    const key = context?.hashKey;
+    if (!key) {
+      // Nothing to hash (e.g. the key header is missing), so spread these requests evenly
+      return this.roundRobin(origins, context);
+    }
+
+    const origin = this.hashRing.lookup(key, origins);
+    logger.debug('origin_selected', {
+      requestId: context.requestId,
+      algorithm: 'consistent_hash',
+      origin
+    });
+    return origin;
+  }
+
+  // Consistent hashing with bounded loads: keys whose origin already has more than HASH_LOAD_FACTOR
+  // times the average in-flight requests spill clockwise to the next origin on the ring
+  boundedLoadHash(origins, context) {
+    const key = context?.hashKey;
+    if (!key) {
+      return this.leastConnections(origins, context);
+    }
+
+    const capacity = this.getLoadCapacity(origins);
+    const ring = this.hashRing.walk(key, origins);
+    const origin = ring.find(candidate => (this.connectionCounts.get(candidate) || 0) < capacity) || ring[0];
+
+    logger.debug('origin_selected', {
+      requestId: context.requestId,
+      algorithm: 'bounded_load_hash',
+      origin,
+      capacity,
+      spilled: origin !== ring[0]
+    });
+    return origin;
+  }
+
+  // Per-origin in-flight limit; counting the request being placed keeps at least one origin under it
+  getLoadCapacity(origins) {
+    const inFlight = origins.reduce((sum, origin) => sum + (this.connectionCounts.get(origin) || 0), 0);
+    return Math.ceil(this.loadFactor * (inFlight + 1) / origins.length);
+  }
+
+  async latencyBased(origins, context) {
     let bestOrigin = origins[0];
     let bestLatency = Infinity;
 
@@ -151,26 +412,109 @@ export class LoadBalancer {
       }
     }
 
-    console.log(`Latency-based selected: ${bestOrigin} (avg: ${bestLatency}ms)`);
+    logger.debug('origin_selected', {
+      requestId: context?.requestId,
+      algorithm: 'latency_based',
+      origin: bestOrigin,
+      averageLatency: bestLatency
+    });
     return bestOrigin;
   }
 
+  // Lowest expected wait: peak EWMA latency times the requests already in flight plus this one
+  peakEwma(origins, context) {
+    let bestOrigin = origins[0];
+    let bestCost = Infinity;
+
+    for (const origin of origins) {
+      const cost = this.getLoadCost(origin);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestOrigin = origin;
+      }
+    }
+
+    logger.debug('origin_selected', {
+      requestId: context?.requestId,
+      algorithm: 'peak_ewma',
+      origin: bestOrigin,
+      cost: Math.round(bestCost)
+    });
+    return bestOrigin;
+  }
+
+  // Power of two choices: compare the peak EWMA cost of two random origins, which avoids every
+  // isolate piling onto the same "best" origin between state syncs
+  powerOfTwoChoices(origins, context) {
+    const first = Math.floor(Math.random() * origins.length);
+    const second = (first + 1 + Math.floor(Math.random() * (origins.length - 1))) % origins.length;
+    const sampled = [origins[first], origins[second]];
+    const origin = this.getLoadCost(sampled[1]) < this.getLoadCost(sampled[0]) ? sampled[1] : sampled[0];
+
+    logger.debug('origin_selected', {
+      requestId: context?.requestId,
+      algorithm: 'p2c',
+      origin,
+      sampled
+    });
+    return origin;
+  }
+
+  getLoadCost(origin) {
+    const inFlight = this.connectionCounts.get(origin) || 0;
+    const latency = this.getEwmaLatency(origin);
+    if (latency === null) {
+      // Unmeasured origins take one request at a time until their first timing arrives
+      return inFlight > 0 ? this.unmeasuredCost * inFlight : 0;
+    }
+    return latency * (inFlight + 1);
+  }
+
+  getEwmaLatency(origin) {
+    const ewma = this.ewmaLatencies.get(origin);
+    return ewma ? Math.round(ewma.value) : null;
+  }
+
+  // Jump straight to a slower sample and decay towards faster ones over EWMA_DECAY_TIME, so an
+  // origin that slows down is avoided at once but has to prove a recovery
+  updateEwma(origin, latency, timestamp) {
+    const current = this.ewmaLatencies.get(origin);
+    if (!current || latency > current.value) {
+      this.ewmaLatencies.set(origin, { value: latency, updatedAt: timestamp });
+      return;
+    }
+
+    const weight = Math.exp(-Math.max(0, timestamp - current.updatedAt) / this.ewmaDecayTime);
+    this.ewmaLatencies.set(origin, { value: current.value * weight + latency * (1 - weight), updatedAt: timestamp });
+  }
+
   geographic(origins, context) {
     const edgeColo = context.edgeColo;
     const preferredOrigin = this.geographicMapping.get(edgeColo);
 
     if (preferredOrigin && origins.includes(preferredOrigin)) {
-      console.log(`Geographic routing selected: ${preferredOrigin} for ${edgeColo}`);
+      logger.debug('origin_selected', {
+        requestId: context.requestId,
+        algorithm: 'geographic',
+        origin: preferredOrigin,
+        edgeColo
+      });
       return preferredOrigin;
     }
 
     // Fallback to closest origin based on simple heuristics
     const fallback = this.selectClosestOrigin(origins, context);
-    console.log(`Geographic fallback selected: ${fallback} for ${edgeColo}`);
+    logger.debug('origin_selected', {
+      requestId: context.requestId,
+      algorithm: 'geographic',
+      origin: fallback,
+      edgeColo,
+      fallback: true
+    });
     return fallback;
   }
 
-  async healthScoreBased(origins) {
+  async healthScoreBased(origins, context) {
     const originsByHealth = this.healthChecker.getOriginsByHealth()
       .filter(item => origins.includes(item.origin));
 
@@ -185,11 +529,16 @@ export class LoadBalancer {
     );
 
     const selectedOrigin = topOrigins[Math.floor(Math.random() * topOrigins.length)].origin;
-    console.log(`Health score based selected: ${selectedOrigin} (score: ${bestHealthScore})`);
+    logger.debug('origin_selected', {
+      requestId: context?.requestId,
+      algorithm: 'health_score',
+      origin: selectedOrigin,
+      healthScore: bestHealthScore
+    });
     return selectedOrigin;
   }
 
-  selectClosestOrigin(_origins, _context) {
+  selectClosestOrigin(origins, context) {
     // Simple geographic proximity heuristics
     const country = context.country?.toLowerCase() || '';
     const continent = this.getContinent(country);
@@ -222,26 +571,45 @@ export class LoadBalancer {
   }
 
   async getFailoverOrigin(failedOrigin, context) {
-    // Get alternative origins (excluding the failed one)
-    const alternativeOrigins = this.origins.filter(origin => origin !== failedOrigin);
+    // Get alternative origins (excluding the failed one and open circuits)
+    const alternativeOrigins = this.origins.filter(origin =>
+      origin !== failedOrigin && this.circuitBreaker.isAvailable(origin)
+    );
     const healthyAlternatives = alternativeOrigins.filter(origin =>
       this.healthChecker.isOriginHealthy(origin)
     );
 
     if (healthyAlternatives.length === 0) {
-      console.warn(`No healthy failover origins available for ${failedOrigin}`);
-      return alternativeOrigins[0] || failedOrigin; // Last resort
+      logger.warn('no_failover_origins', { requestId: context?.requestId, failedOrigin });
+      return this.acquireOrigin(alternativeOrigins[0] || failedOrigin); // Last resort
     }
 
     // Use the same algorithm for failover selection
-    const originalAlgorithm = this.currentAlgorithm;
-    const failoverOrigin = await this.getOptimalOrigin({
+    const failoverOrigin = await this.selectOrigin(this.restrictToPool(healthyAlternatives, context), {
       ...context,
       isFailover: true
     });
 
-    console.log(`Failover from ${failedOrigin} to ${failoverOrigin}`);
-    return failoverOrigin;
+    logger.info('failover', { requestId: context?.requestId, failedOrigin, failoverOrigin });
+    return this.acquireOrigin(failoverOrigin);
+  }
+
+  // Next-best healthy origin for a hedged request, or null when there is none
+  async getHedgeOrigin(primaryOrigin, context) {
+    const alternatives = this.origins.filter(origin =>
+      origin !== primaryOrigin &&
+      this.healthChecker.isOriginHealthy(origin) &&
+      this.circuitBreaker.isAvailable(origin)
+    );
+
+    if (alternatives.length === 0) {
+      return null;
+    }
+
+    return this.acquireOrigin(await this.selectOrigin(
+      this.restrictToPool(alternatives, context),
+      { ...context, isHedge: true }
+    ));
   }
 
   recordLatency(origin, latency) {
@@ -250,7 +618,10 @@ export class LoadBalancer {
     }
 
     const history = this.latencyHistory.get(origin);
-    history.push({ latency, timestamp: Date.now() });
+    const timestamp = Date.now();
+    history.push({ latency, timestamp });
+    this.updateEwma(origin, latency, timestamp);
+    this.monitor?.enqueue({ type: 'latency', origin, latency, timestamp });
 
     // Keep only last 100 measurements
     if (history.length > 100) {
@@ -278,15 +649,71 @@ export class LoadBalancer {
     return Math.round(average);
   }
 
+  // Feed a proxied request outcome (5xx, timeout, network error or success) to the circuit breaker
+  recordOutcome(origin, success, reason) {
+    if (success) {
+      this.circuitBreaker.recordSuccess(origin);
+    } else {
+      this.circuitBreaker.recordFailure(origin, reason);
+    }
+  }
+
+  // Latency percentile (0-1) over recent samples, or null until there are enough to trust
+  getLatencyPercentile(origin, percentile, minSamples = 10) {
+    const cutoff = Date.now() - 10 * 60 * 1000;
+    const samples = (this.latencyHistory.get(origin) || [])
+      .filter(m => m.timestamp > cutoff)
+      .map(m => m.latency)
+      .sort((a, b) => a - b);
+
+    if (samples.length < minSamples) {
+      return null;
+    }
+
+    const index = Math.min(samples.length - 1, Math.ceil(percentile * samples.length) - 1);
+    return samples[Math.max(0, index)];
+  }
+
   releaseConnection(origin) {
     const current = this.connectionCounts.get(origin) || 0;
     this.connectionCounts.set(origin, Math.max(0, current - 1));
+    this.inFlight.set(origin, Math.max(0, (this.inFlight.get(origin) || 0) - 1));
+    this.reportConnections();
+  }
+
+  // Share this isolate's current totals; the latest report replaces the previous one
+  reportConnections() {
+    this.monitor?.enqueue({ type: 'connections', counts: Object.fromEntries(this.inFlight) });
+  }
+
+  // For an acquired origin whose attempt ends without recordOutcome: frees its half-open probe slot
+  releaseProbe(origin) {
+    this.circuitBreaker.release(origin);
+  }
+
+  // Undo acquireOrigin for a selection that was never sent
+  releaseOrigin(origin) {
+    this.releaseProbe(origin);
+    this.releaseConnection(origin);
+  }
+
+  // Replace local latency state with the shared view; connectionCounts holds the other isolates'
+  // in-flight requests, to which this isolate's own are added
+  importState({ latencyHistory = {}, connectionCounts = {} }) {
+    Object.entries(latencyHistory).forEach(([origin, history]) => {
+      this.latencyHistory.set(origin, history);
+    });
+
+    const origins = new Set([...this.connectionCounts.keys(), ...Object.keys(connectionCounts)]);
+    origins.forEach(origin => {
+      this.connectionCounts.set(origin, (connectionCounts[origin] || 0) + (this.inFlight.get(origin) || 0));
+    });
   }
 
   setAlgorithm(algorithm) {
     if (Object.values(this.algorithms).includes(algorithm)) {
       this.currentAlgorithm = algorithm;
-      console.log(`Load balancing algorithm changed to: ${algorithm}`);
+      logger.info('algorithm_changed', { algorithm });
     } else {
       throw new Error(`Invalid algorithm: ${algorithm}`);
     }
@@ -295,7 +722,7 @@ export class LoadBalancer {
   setWeight(origin, weight) {
     if (this.origins.includes(origin) && weight > 0) {
       this.weights.set(origin, weight);
-      console.log(`Weight for ${origin} set to ${weight}`);
+      logger.info('weight_changed', { origin, weight });
     } else {
       throw new Error(`Invalid origin or weight: ${origin}, ${weight}`);
     }
@@ -304,12 +731,52 @@ export class LoadBalancer {
   addGeographicMapping(edgeColo, origin) {
     if (this.origins.includes(origin)) {
       this.geographicMapping.set(edgeColo, origin);
-      console.log(`Geographic mapping added: ${edgeColo} -> ${origin}`);
+      logger.info('geographic_mapping_added', { edgeColo, origin });
     } else {
       throw new Error(`Invalid origin: ${origin}`);
     }
   }
 
+  removeGeographicMapping(edgeColo) {
+    if (!this.geographicMapping.delete(edgeColo)) {
+      throw new Error(`No geographic mapping for: ${edgeColo}`);
+    }
+    logger.info('geographic_mapping_removed', { edgeColo });
+  }
+
+  // Runtime settings persisted by the admin API
+  exportSettings() {
+    return {
+      algorithm: this.currentAlgorithm,
+      weights: Object.fromEntries(this.weights),
+      geographicMappings: Object.fromEntries(this.geographicMapping),
+      circuits: this.circuitBreaker.getStats()
+    };
+  }
+
+  applySettings(settings) {
+    if (!settings) {
+      return;
+    }
+
+    if (Object.values(this.algorithms).includes(settings.algorithm)) {
+      this.currentAlgorithm = settings.algorithm;
+    }
+
+    // Ignore origins that are no longer configured
+    Object.entries(settings.weights || {}).forEach(([origin, weight]) => {
+      if (this.origins.includes(origin) && weight > 0) {
+        this.weights.set(origin, weight);
+      }
+    });
+
+    if (settings.geographicMappings) {
+      this.geographicMapping = new Map(
+        Object.entries(settings.geographicMappings).filter(([, origin]) => this.origins.includes(origin))
+      );
+    }
+  }
+
   getStats() {
     const stats = {
       algorithm: this.currentAlgorithm,
@@ -317,9 +784,17 @@ export class LoadBalancer {
       healthyOrigins: 0,
       totalConnections: 0,
       averageLatencies: {},
+      ewmaLatencies: {},
       weights: Object.fromEntries(this.weights),
       connectionCounts: Object.fromEntries(this.connectionCounts),
-      geographicMappings: Object.fromEntries(this.geographicMapping)
+      geographicMappings: Object.fromEntries(this.geographicMapping),
+      circuits: this.circuitBreaker.getStats(),
+      hashRing: {
+        keySource: this.hashKeySource,
+        virtualNodes: this.hashRing.virtualNodes,
+        loadFactor: this.loadFactor,
+        distribution: this.hashRing.getDistribution()
+      }
     };
 
     // Calculate healthy origins and total connections
@@ -332,6 +807,7 @@ export class LoadBalancer {
       stats.totalConnections += connections;
 
       stats.averageLatencies[origin] = this.getAverageLatency(origin);
+      stats.ewmaLatencies[origin] = this.getEwmaLatency(origin);
     });
 
     return stats;
@@ -371,6 +847,24 @@ export class LoadBalancer {
       });
     }
 
+    // Origins taken out (or recently put back) by outlier detection
+    const outliers = this.healthChecker.getOutlierStatus?.();
+    if (outliers?.ejected.length > 0) {
+      recommendations.push({
+        type: 'outlier_ejections',
+        message: `${outliers.ejected.length} origins are ejected as outliers; check their error rates and latency`,
+        details: outliers.ejected
+      });
+    }
+    const restored = outliers?.events.filter(event => event.type === 'restored') || [];
+    if (restored.length > 0) {
+      recommendations.push({
+        type: 'outlier_restorations',
+        message: 'Some origins were restored after an outlier ejection; watch them for repeat offenses',
+        details: restored
+      });
+    }
+
     // Check health status
     if (stats.healthyOrigins < this.origins.length) {
       recommendations.push({
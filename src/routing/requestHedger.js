@@ -0,0 +1,123 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RequestHedger');
+
+// Sends a second (hedge) request to the next-best origin when the first one is slow to respond
+export class RequestHedger {
+  constructor(config, loadBalancer) {
+    this.enabled = config.HEDGING_ENABLED || false;
+    this.fixedDelay = config.HEDGE_DELAY || 0;
+    this.percentile = config.HEDGE_PERCENTILE || 0.95;
+    this.fallbackDelay = Math.round((config.FAILOVER_TIMEOUT || 5000) / 4);
+    this.loadBalancer = loadBalancer;
+    this.idempotentMethods = ['GET', 'HEAD', 'OPTIONS'];
+  }
+
+  isHedgeable(request) {
+    return this.enabled && this.idempotentMethods.includes(request.method);
+  }
+
+  // Fixed HEDGE_DELAY, or the origin's latency percentile once enough samples exist
+  getDelay(origin) {
+    if (this.fixedDelay > 0) {
+      return this.fixedDelay;
+    }
+
+    return this.loadBalancer.getLatencyPercentile(origin, this.percentile) ?? this.fallbackDelay;
+  }
+
+  // send(origin, signal) must resolve with the origin's Response once headers arrive
+  fetch(origin, context, send, parentSignal) {
+    const delay = this.getDelay(origin);
+
+    return new Promise((resolve, reject) => {
+      const attempts = [];
+      let settled = false;
+      let hedgeFired = false;
+      let hedgeLaunching = false;
+      let lastError = null;
+
+      const abortAll = () => {
+        attempts.forEach(attempt => attempt.controller.abort(parentSignal.reason));
+      };
+
+      const settle = () => {
+        settled = true;
+        clearTimeout(hedgeTimer);
+        parentSignal?.removeEventListener('abort', abortAll);
+      };
+
+      const failIfExhausted = () => {
+        if (!settled && !hedgeLaunching && attempts.every(attempt => attempt.failed)) {
+          settle();
+          reject(lastError);
+        }
+      };
+
+      const launch = (target, isHedge) => {
+        const attempt = { origin: target, isHedge, controller: new AbortController(), failed: false };
+        attempts.push(attempt);
+
+        send(target, attempt.controller.signal).then(response => {
+          if (settled) {
+            // Lost the race after all; release the connection
+            response.body?.cancel?.();
+            return;
+          }
+
+          settle();
+          attempts
+            .filter(other => other !== attempt)
+            .forEach(other => other.controller.abort('hedge-lost'));
+
+          resolve({
+            response,
+            origin: target,
+            hedged: attempts.length > 1,
+            hedgeWon: isHedge,
+            delay
+          });
+        }, error => {
+          attempt.failed = true;
+          lastError = error;
+
+          // The caller records no outcome for an attempt aborted as the losing side of the race
+          if (attempt.controller.signal.reason === 'hedge-lost') {
+            this.loadBalancer.releaseProbe(target);
+          }
+
+          // A primary failure before the hedge fires goes straight to the caller's failover logic
+          if (!hedgeFired) {
+            settle();
+            reject(error);
+            return;
+          }
+
+          failIfExhausted();
+        });
+      };
+
+      const hedgeTimer = setTimeout(async () => {
+        hedgeFired = true;
+        hedgeLaunching = true;
+
+        try {
+          const hedgeOrigin = await this.loadBalancer.getHedgeOrigin(origin, context);
+          if (!settled && hedgeOrigin) {
+            logger.debug('hedge_sent', { requestId: context.requestId, primaryOrigin: origin, hedgeOrigin, delay });
+            launch(hedgeOrigin, true);
+          } else if (hedgeOrigin) {
+            // The race ended while the hedge origin was being picked
+            this.loadBalancer.releaseOrigin(hedgeOrigin);
+          }
+        } finally {
+          hedgeLaunching = false;
+          failIfExhausted();
+        }
+      }, delay);
+
+      parentSignal?.addEventListener('abort', abortAll);
+      launch(origin, false);
+    });
+  }
+}
@@ -0,0 +1,92 @@
+// Decides when a failed origin attempt may be sent again, and makes request bodies replayable.
+// Bodies are streams that can only be read once, so anything that may be retried is buffered first,
+// up to RETRY_MAX_BODY_SIZE; larger bodies stream straight through and get a single attempt.
+export class RetryPolicy {
+  constructor(config) {
+    this.maxAttempts = config.RETRY_MAX_ATTEMPTS || 3;
+    this.budget = config.RETRY_BUDGET || 10000;
+    this.retryStatuses = config.RETRY_STATUSES || [502, 503, 504];
+    this.maxBodySize = config.RETRY_MAX_BODY_SIZE ?? 1048576;
+    this.idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+  }
+
+  // Idempotent by method, or made safe to repeat by the client's Idempotency-Key
+  isRetryable(request) {
+    return this.idempotentMethods.includes(request.method) || request.headers.has('Idempotency-Key');
+  }
+
+  isRetryableStatus(status) {
+    return this.retryStatuses.includes(status);
+  }
+
+  // Returns the body to send on every attempt and whether it can be sent more than once
+  async prepare(request) {
+    if (!request.body) {
+      return { body: null, replayable: true };
+    }
+
+    const declaredLength = Number(request.headers.get('Content-Length'));
+    if (!this.isRetryable(request) || declaredLength > this.maxBodySize) {
+      return { body: request.body, replayable: false };
+    }
+
+    return this.bufferBody(request.body);
+  }
+
+  // Read up to maxBodySize bytes; past that, hand back a stream that replays what was read and then the rest
+  async bufferBody(stream) {
+    const reader = stream.getReader();
+    const chunks = [];
+    let size = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return { body: concatChunks(chunks, size), replayable: true };
+      }
+
+      chunks.push(value);
+      size += value.byteLength;
+
+      if (size > this.maxBodySize) {
+        return { body: replayStream(chunks, reader), replayable: false };
+      }
+    }
+  }
+
+  // Whether another attempt fits in the attempt cap and the time left before the deadline
+  allowsRetry(attempt, deadline) {
+    return attempt < this.maxAttempts && Date.now() < deadline;
+  }
+}
+
+function concatChunks(chunks, size) {
+  const body = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body.buffer;
+}
+
+function replayStream(chunks, reader) {
+  return new ReadableStream({
+    async pull(controller) {
+      if (chunks.length > 0) {
+        controller.enqueue(chunks.shift());
+        return;
+      }
+
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
@@ -0,0 +1,76 @@
+import { constantTimeEquals, fnv1a, hmacSha256Hex } from '../utils/crypto.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SessionAffinity');
+
+export const AFFINITY_COOKIE = 'pb_affinity';
+
+// Works out which origin a client is pinned to, layered over whichever algorithm LoadBalancer runs.
+// "cookie" mode pins the first origin chosen for a client in a signed "<origin id>.<expires>.<hmac>"
+// cookie; "header" and "ip" modes hash a header value or CF-Connecting-IP onto the healthy origins.
+// The result travels on context.affinity; LoadBalancer honours it and records re-pins there.
+export class SessionAffinity {
+  constructor(config) {
+    this.mode = config.AFFINITY_MODE || 'off';
+    this.header = config.AFFINITY_HEADER;
+    this.ttl = config.AFFINITY_COOKIE_TTL || 3600;
+    this.signingKey = config.AFFINITY_SIGNING_KEY;
+    // Cookies name origins by a short hash so backend hostnames stay private
+    this.originIds = new Map((config.ORIGINS || []).map(origin => [this.originId(origin), origin]));
+
+    if (this.mode === 'cookie' && !this.signingKey) {
+      logger.warn('affinity_disabled', { reason: 'cookie mode needs the AFFINITY_SIGNING_KEY secret' });
+      this.mode = 'off';
+    }
+    if (this.mode === 'header' && !this.header) {
+      logger.warn('affinity_disabled', { reason: 'header mode needs AFFINITY_HEADER' });
+      this.mode = 'off';
+    }
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  originId(origin) {
+    return fnv1a(origin).toString(36);
+  }
+
+  // { mode, origin } for a valid cookie, { mode, key } for header/ip, { mode } when nothing pins
+  // the client yet, or null when affinity is off
+  async read(request, context) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    if (this.mode === 'cookie') {
+      return { mode: this.mode, origin: await this.verifyCookie(request) };
+    }
+
+    const key = this.mode === 'header' ? request.headers.get(this.header)?.trim() : context.clientIP;
+    return { mode: this.mode, key: key || null };
+  }
+
+  async verifyCookie(request) {
+    const cookies = request.headers.get('Cookie') || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${AFFINITY_COOKIE}=([0-9a-z]+)\\.(\\d+)\\.([0-9a-f]{64})`));
+    if (!match) {
+      return null;
+    }
+
+    const [, id, expires, signature] = match;
+    if (Number(expires) * 1000 < Date.now() || !this.originIds.has(id)) {
+      return null;
+    }
+
+    const expected = await hmacSha256Hex(this.signingKey, `${id}.${expires}`);
+    return constantTimeEquals(signature, expected) ? this.originIds.get(id) : null;
+  }
+
+  async createCookie(origin) {
+    const id = this.originId(origin);
+    const expires = Math.floor(Date.now() / 1000) + this.ttl;
+    const signature = await hmacSha256Hex(this.signingKey, `${id}.${expires}`);
+    return `${AFFINITY_COOKIE}=${id}.${expires}.${signature}; Path=/; Max-Age=${this.ttl}; HttpOnly; Secure; SameSite=Lax`;
+  }
+}
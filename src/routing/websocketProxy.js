@@ -0,0 +1,152 @@
+import { createLogger } from '../utils/logger.js';
+import { DEBUG_HEADER } from '../admin/debugMode.js';
+
+const logger = createLogger('WebSocketProxy');
+
+// Proxies WebSocket upgrades to the selected origin, bypassing caching and compression.
+// The Workers runtime does not expose protocol-level ping/pong frames, so origin RTT is measured
+// with an application-level ping message (WEBSOCKET_PING_MESSAGE) whose reply
+// (WEBSOCKET_PONG_MESSAGE) is consumed here and never forwarded to the client.
+export class WebSocketProxy {
+  constructor(config, { loadBalancer, analyticsEngine }) {
+    this.config = config;
+    this.loadBalancer = loadBalancer;
+    this.analyticsEngine = analyticsEngine;
+    // Covers the upgrade handshake only; an open session lasts as long as both ends keep it
+    this.timeout = config.FAILOVER_TIMEOUT || 5000;
+    this.pingInterval = config.WEBSOCKET_PING_INTERVAL || 0;
+    this.pingMessage = config.WEBSOCKET_PING_MESSAGE || null;
+    this.pongMessage = config.WEBSOCKET_PONG_MESSAGE || null;
+    this.reservedCloseCodes = [1005, 1006, 1015];
+  }
+
+  isUpgradeRequest(request) {
+    return (request.headers.get('Upgrade') || '').toLowerCase() === 'websocket';
+  }
+
+  async handle(request, context) {
+    const origin = await this.loadBalancer.getOptimalOrigin(context);
+    const requestUrl = new URL(request.url);
+
+    // Debug credentials never leave the edge
+    const headers = new Headers(request.headers);
+    headers.delete(DEBUG_HEADER);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    let upstreamResponse;
+    try {
+      upstreamResponse = await fetch(origin + requestUrl.pathname + requestUrl.search, {
+        headers,
+        signal: controller.signal
+      });
+    } catch (error) {
+      this.loadBalancer.recordOutcome(origin, false, error.name === 'AbortError' ? 'timeout' : error.message);
+      this.loadBalancer.releaseConnection(origin);
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const upstream = upstreamResponse.webSocket;
+    if (!upstream) {
+      // The origin refused the upgrade; pass its response through unchanged
+      const serverError = upstreamResponse.status >= 500;
+      this.loadBalancer.recordOutcome(origin, !serverError, serverError ? `HTTP ${upstreamResponse.status}` : undefined);
+      this.loadBalancer.releaseConnection(origin);
+      return upstreamResponse;
+    }
+
+    this.loadBalancer.recordOutcome(origin, true);
+    upstream.accept();
+
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+
+    this.bridge(server, upstream, {
+      ...context,
+      targetOrigin: origin,
+      openedAt: Date.now(),
+      messagesFromClient: 0,
+      messagesFromOrigin: 0,
+      rttSamples: [],
+      pingSentAt: null
+    });
+
+    logger.debug('websocket_opened', { requestId: context.requestId, origin });
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  bridge(server, upstream, session) {
+    let closed = false;
+    let pingTimer = null;
+
+    const finish = (code, reason) => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      clearInterval(pingTimer);
+      // The session held the origin connection from the upgrade until now
+      this.loadBalancer.releaseConnection(session.targetOrigin);
+
+      const closeCode = this.reservedCloseCodes.includes(code) || !code ? 1000 : code;
+      this.safeClose(server, closeCode, reason);
+      this.safeClose(upstream, closeCode, reason);
+
+      session.waitUntil(this.analyticsEngine.recordWebSocketSession({
+        ...session,
+        duration: Date.now() - session.openedAt,
+        closeCode: code
+      }));
+    };
+
+    server.addEventListener('message', (event) => {
+      session.messagesFromClient++;
+      upstream.send(event.data);
+    });
+
+    upstream.addEventListener('message', (event) => {
+      if (this.isPong(event.data, session)) {
+        return;
+      }
+      session.messagesFromOrigin++;
+      server.send(event.data);
+    });
+
+    server.addEventListener('close', (event) => finish(event.code, event.reason));
+    upstream.addEventListener('close', (event) => finish(event.code, event.reason));
+    server.addEventListener('error', () => finish(1011, 'Client connection error'));
+    upstream.addEventListener('error', () => finish(1011, 'Origin connection error'));
+
+    if (this.pingInterval > 0 && this.pingMessage && this.pongMessage) {
+      pingTimer = setInterval(() => {
+        // One ping in flight at a time keeps the RTT pairing unambiguous
+        if (session.pingSentAt === null) {
+          session.pingSentAt = Date.now();
+          upstream.send(this.pingMessage);
+        }
+      }, this.pingInterval);
+    }
+  }
+
+  isPong(data, session) {
+    if (session.pingSentAt === null || data !== this.pongMessage) {
+      return false;
+    }
+
+    session.rttSamples.push(Date.now() - session.pingSentAt);
+    session.pingSentAt = null;
+    return true;
+  }
+
+  safeClose(socket, code, reason) {
+    try {
+      socket.close(code, reason);
+    } catch {
+      // Already closed
+    }
+  }
+}
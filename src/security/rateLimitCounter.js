@@ -0,0 +1,38 @@
+import { SlidingWindowCounter } from './slidingWindowCounter.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RateLimitCounter');
+
+// Durable Object holding the rate limit windows for one shard of clients. Counters live in memory
+// only: windows are short, and an evicted object simply starts its clients from zero.
+export class RateLimitCounter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.counter = new SlidingWindowCounter();
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    try {
+      if (request.method === 'POST' && url.pathname === '/hit') {
+        const { key, limit, window } = await request.json();
+        return this.json(this.counter.hit(key, limit, window));
+      }
+
+      return this.json({ error: 'Not found' }, 404);
+
+    } catch (error) {
+      logger.error('request_failed', { path: url.pathname, error });
+      return this.json({ error: error.message }, 500);
+    }
+  }
+
+  json(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
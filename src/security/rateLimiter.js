@@ -0,0 +1,112 @@
+import { SlidingWindowCounter } from './slidingWindowCounter.js';
+import { createLogger } from '../utils/logger.js';
+import { fnv1a, sha256Hex } from '../utils/crypto.js';
+
+const logger = createLogger('RateLimiter');
+
+// Per-client rate limiting. Every request counts against its CF-Connecting-IP; one carrying
+// RATE_LIMIT_KEY_HEADER (e.g. an API key) also counts against that key, and is rejected when either
+// is over the limit, so sending a new key per request never buys a fresh window. Windows are counted in the
+// RateLimitCounter Durable Object, sharded by client so no single object sees all traffic; when
+// the namespace is unbound or unreachable each isolate falls back to counting on its own.
+export class RateLimiter {
+  constructor(config, namespace = null) {
+    this.enabled = Boolean(config.RATE_LIMIT_ENABLED);
+    this.namespace = namespace;
+    this.keyHeader = config.RATE_LIMIT_KEY_HEADER || null;
+    this.shards = config.RATE_LIMIT_SHARDS || 32;
+    this.localCounter = new SlidingWindowCounter();
+
+    // Longest matching path prefix wins; '/' is the catch-all default limit
+    const defaultRule = {
+      pathPrefix: '/',
+      limit: config.RATE_LIMIT_REQUESTS || 100,
+      window: config.RATE_LIMIT_WINDOW || 60
+    };
+    this.rules = [...(config.RATE_LIMIT_RULES || []), defaultRule]
+      .sort((a, b) => b.pathPrefix.length - a.pathPrefix.length);
+  }
+
+  async check(request, context) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const rule = this.matchRule(new URL(request.url).pathname);
+    const identities = await this.identify(request, context);
+    const results = await Promise.all(identities.map(identity => this.hit(identity, rule, context)));
+
+    // The rejecting window, else the one closest to its limit
+    const result = results.find(item => !item.allowed) ||
+      results.reduce((lowest, item) => (item.remaining < lowest.remaining ? item : lowest));
+    return { ...result, rule };
+  }
+
+  async hit(identity, rule, context) {
+    const key = `${rule.pathPrefix}|${identity}`;
+    const windowMs = rule.window * 1000;
+
+    try {
+      return this.namespace ?
+        await this.hitShared(identity, key, rule.limit, windowMs) :
+        this.localCounter.hit(key, rule.limit, windowMs);
+    } catch (error) {
+      logger.error('shared_counter_unavailable', { requestId: context.requestId, error });
+      return this.localCounter.hit(key, rule.limit, windowMs);
+    }
+  }
+
+  matchRule(pathname) {
+    return this.rules.find(rule => pathname.startsWith(rule.pathPrefix));
+  }
+
+  // The IP always; the API key too when the request carries one
+  async identify(request, context) {
+    const identities = [`ip:${context.clientIP || 'unknown'}`];
+    const apiKey = this.keyHeader ? request.headers.get(this.keyHeader) : null;
+    if (apiKey) {
+      // Counters never hold the raw credential
+      identities.push(`key:${(await sha256Hex(apiKey)).slice(0, 24)}`);
+    }
+    return identities;
+  }
+
+  async hitShared(identity, key, limit, windowMs) {
+    const stub = this.namespace.get(this.namespace.idFromName(`ratelimit:${this.shardFor(identity)}`));
+    const response = await stub.fetch('https://rate-limit-counter/hit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key, limit, window: windowMs })
+    });
+
+    if (!response.ok) {
+      throw new Error(`RateLimitCounter returned ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // FNV-1a keeps a client on the same shard from every isolate
+  shardFor(identity) {
+    return fnv1a(identity) % this.shards;
+  }
+
+  // IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers)
+  getHeaders(result) {
+    return {
+      'RateLimit-Limit': result.limit.toString(),
+      'RateLimit-Remaining': result.remaining.toString(),
+      'RateLimit-Reset': result.reset.toString(),
+      'RateLimit-Policy': `${result.rule.limit};w=${result.rule.window}`
+    };
+  }
+
+  // Headers for the 429 page; errorPages renders the body
+  getRejectionHeaders(result) {
+    return {
+      'Retry-After': result.retryAfter.toString(),
+      'X-Ping-Booster': 'rate-limited',
+      ...this.getHeaders(result)
+    };
+  }
+}
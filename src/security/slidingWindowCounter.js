@@ -0,0 +1,60 @@
+// Sliding-window counter: the previous fixed window's count is weighted by how much of it still
+// overlaps the sliding window, which approximates a true sliding log in constant memory per key
+export class SlidingWindowCounter {
+  constructor() {
+    this.windows = new Map();
+    this.pruneInterval = 60000;
+    this.lastPrune = Date.now();
+  }
+
+  hit(key, limit, windowMs, now = Date.now()) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.windowStart !== windowStart) {
+      const previous = entry && entry.windowStart === windowStart - windowMs ? entry.current : 0;
+      entry = { windowStart, windowMs, current: 0, previous };
+      this.windows.set(key, entry);
+    }
+
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    const estimated = entry.previous * previousWeight + entry.current;
+    const allowed = estimated + 1 <= limit;
+
+    if (allowed) {
+      entry.current++;
+    }
+
+    if (now - this.lastPrune > this.pruneInterval) {
+      this.prune(now);
+    }
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - estimated - (allowed ? 1 : 0))),
+      reset: Math.ceil((windowStart + windowMs - now) / 1000),
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((this.nextAllowedAt(entry, limit) - now) / 1000))
+    };
+  }
+
+  // Earliest time the weighted estimate drops far enough to admit one more request
+  nextAllowedAt({ windowStart, windowMs, current, previous }, limit) {
+    if (current <= limit - 1 && previous > 0) {
+      return windowStart + windowMs * (1 - (limit - 1 - current) / previous);
+    }
+
+    // Only the current window's count will still weigh on the next window
+    return windowStart + windowMs + windowMs * Math.max(0, 1 - (limit - 1) / current);
+  }
+
+  // Entries older than two windows no longer contribute to any estimate
+  prune(now = Date.now()) {
+    this.lastPrune = now;
+    this.windows.forEach((entry, key) => {
+      if (entry.windowStart + 2 * entry.windowMs <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
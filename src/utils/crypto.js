@@ -0,0 +1,57 @@
+const encoder = new TextEncoder();
+
+// Compare secrets without leaking how many leading characters matched
+export function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+export function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+export async function sha256Hex(value) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(value)));
+}
+
+// FNV-1a: a fast, stable 32-bit hash for spreading keys over shards or buckets (not for secrets)
+export function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// FNV-1a followed by the murmur3 finalizer, so every output bit depends on every input character.
+// Use it where hashes are compared against each other (rendezvous hashing, hash rings).
+export function mixedHash(value) {
+  let hash = fnv1a(value);
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
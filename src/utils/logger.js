@@ -0,0 +1,83 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Shared by every logger so LOG_LEVEL and LOG_SAMPLING apply to loggers created at import time
+const settings = {
+  level: 'info',
+  sampling: {}
+};
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+export function configureLogging({ LOG_LEVEL, LOG_SAMPLING } = {}) {
+  settings.level = LOG_LEVEL && LEVELS[LOG_LEVEL] !== undefined ? LOG_LEVEL : 'info';
+  settings.sampling = LOG_SAMPLING || {};
+}
+
+export function createLogger(component) {
+  return new Logger(component);
+}
+
+// Emits one JSON object per line: {timestamp, level, component, event, requestId, ...fields}
+export class Logger {
+  constructor(component) {
+    this.component = component;
+  }
+
+  debug(event, fields) {
+    this.write('debug', event, fields);
+  }
+
+  info(event, fields) {
+    this.write('info', event, fields);
+  }
+
+  warn(event, fields) {
+    this.write('warn', event, fields);
+  }
+
+  error(event, fields) {
+    this.write('error', event, fields);
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[settings.level];
+  }
+
+  write(level, event, fields = {}) {
+    if (!this.isEnabled(level) || !this.isSampled(event)) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: this.component,
+      event
+    };
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = value instanceof Error ? this.serializeError(value) : value;
+      }
+    }
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  // Sampling rates are keyed by "Component.event" or just "event"; unlisted events are always kept
+  isSampled(event) {
+    const rate = settings.sampling[`${this.component}.${event}`] ?? settings.sampling[event];
+    return rate === undefined || Math.random() < rate;
+  }
+
+  serializeError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+  }
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AdminApi } from '../src/admin/adminApi.js';
+import { SettingsStore } from '../src/admin/settingsStore.js';
+import { LoadBalancer } from '../src/routing/loadBalancer.js';
+import { MaintenanceMode } from '../src/admin/maintenanceMode.js';
+
+const TOKEN = 'test-admin-token-123456';
+
+function adminRequest(method, path, body, token = TOKEN) {
+  return {
+    method,
+    url: `https://worker.example.com${path}`,
+    headers: new Headers(token ? { Authorization: `Bearer ${token}` } : {}),
+    json: async () => body
+  };
+}
+
+describe('AdminApi', () => {
+  let adminApi;
+  let loadBalancer;
+  let mockKV;
+  let mockOrigins;
+  const context = { requestId: 'test-123' };
+
+  beforeEach(() => {
+    mockOrigins = ['https://origin1.example.com', 'https://origin2.example.com'];
+    mockKV = { get: vi.fn(), put: vi.fn() };
+    loadBalancer = new LoadBalancer(mockOrigins, { isOriginHealthy: () => true });
+    adminApi = new AdminApi({ ADMIN_TOKEN: TOKEN }, {
+      loadBalancer,
+      settingsStore: new SettingsStore(mockKV),
+      maintenanceMode: new MaintenanceMode()
+    });
+  });
+
+  it('should reject requests without a valid bearer token', async () => {
+    const response = await adminApi.handle(adminRequest('GET', '/admin/load-balancer', null, 'wrong'), context);
+    expect(response.status).toBe(401);
+  });
+
+  it('should change and persist the algorithm', async () => {
+    const response = await adminApi.handle(
+      adminRequest('PUT', '/admin/load-balancer/algorithm', { algorithm: 'round_robin' }),
+      context
+    );
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body).algorithm).toBe('round_robin');
+    expect(mockKV.put).toHaveBeenCalledWith('settings:loadBalancer', expect.stringContaining('round_robin'));
+  });
+
+  it('should return 400 and keep settings for an invalid weight', async () => {
+    const response = await adminApi.handle(
+      adminRequest('PUT', '/admin/load-balancer/weights', { weights: { 'https://unknown.example.com': 2 } }),
+      context
+    );
+
+    expect(response.status).toBe(400);
+    expect(mockKV.put).not.toHaveBeenCalled();
+  });
+
+  it('should roll back when settings cannot be persisted', async () => {
+    mockKV.put.mockRejectedValue(new Error('KV unavailable'));
+
+    const response = await adminApi.handle(
+      adminRequest('PUT', '/admin/load-balancer/algorithm', { algorithm: 'round_robin' }),
+      context
+    );
+
+    expect(response.status).toBe(400);
+    expect(loadBalancer.currentAlgorithm).toBe('health_score');
+  });
+
+  it('should toggle and persist maintenance mode', async () => {
+    const response = await adminApi.handle(
+      adminRequest('PUT', '/admin/maintenance', { enabled: true, retryAfter: 120 }),
+      context
+    );
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body)).toMatchObject({ enabled: true, retryAfter: 120 });
+    expect(mockKV.put).toHaveBeenCalledWith('settings:maintenance', expect.stringContaining('"enabled":true'));
+  });
+
+  it('should be disabled without ADMIN_TOKEN', async () => {
+    const disabled = new AdminApi({}, { loadBalancer, settingsStore: new SettingsStore(mockKV) });
+    const response = await disabled.handle(adminRequest('GET', '/admin/load-balancer'), context);
+    expect(response.status).toBe(404);
+  });
+});
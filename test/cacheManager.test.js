@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CacheManager } from '../src/cache/cacheManager.js';
+
+describe('CacheManager', () => {
+  let cacheManager;
+  let kvStore;
+  const url = 'https://example.com/page';
+  const context = { requestId: 'test-123', edgeColo: 'LAX', country: 'US', userAgent: 'Mozilla/5.0' };
+
+  beforeEach(() => {
+    const entries = new Map();
+    kvStore = {
+      entries,
+      get: vi.fn(async (key) => (entries.has(key) ? JSON.parse(entries.get(key).value) : null)),
+      put: vi.fn(async (key, value, options) => entries.set(key, { value, options })),
+      delete: vi.fn(async (key) => entries.delete(key))
+    };
+    cacheManager = new CacheManager(kvStore, { MAX_CACHE_TTL: 86400, STALE_IF_ERROR: 600 });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Store a response, then move the clock past its expiry by `secondsPastExpiry`
+  async function cacheAndExpire(headers, secondsPastExpiry) {
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now);
+    await cacheManager.set(url, new Response('body', { headers }), context);
+
+    const [{ value }] = kvStore.entries.values();
+    const { expiresAt } = JSON.parse(value);
+    Date.now.mockReturnValue(expiresAt + secondsPastExpiry * 1000);
+  }
+
+  it('should keep entries in KV through the stale-if-error window', async () => {
+    await cacheManager.set(url, new Response('body', {
+      headers: { 'content-type': 'text/css', 'cache-control': 'max-age=60' }
+    }), context);
+
+    const [{ value, options }] = kvStore.entries.values();
+    const cached = JSON.parse(value);
+    expect(options.expirationTtl).toBe(660);
+    expect(cached.staleUntil - cached.expiresAt).toBe(600000);
+  });
+
+  it('should serve an expired copy as STALE-ERROR only when asked', async () => {
+    await cacheAndExpire({ 'content-type': 'text/css', 'cache-control': 'max-age=60' }, 30);
+
+    expect(await cacheManager.get(url, context)).toBeNull();
+    expect(kvStore.delete).not.toHaveBeenCalled();
+
+    const stale = await cacheManager.getStale(url, context);
+    expect(stale.headers.get('X-Cache-Status')).toBe('STALE-ERROR');
+    expect(stale.headers.get('Warning')).toContain('111');
+  });
+
+  it('should drop copies past the grace window', async () => {
+    await cacheAndExpire({ 'content-type': 'text/css', 'cache-control': 'max-age=60' }, 601);
+
+    expect(await cacheManager.getStale(url, context)).toBeNull();
+    expect(await cacheManager.get(url, context)).toBeNull();
+    expect(kvStore.delete).toHaveBeenCalled();
+  });
+
+  it('should prefer the stale-if-error directive from the origin', async () => {
+    await cacheAndExpire({ 'content-type': 'text/css', 'cache-control': 'max-age=60, stale-if-error=0' }, 1);
+
+    expect(await cacheManager.getStale(url, context)).toBeNull();
+  });
+});
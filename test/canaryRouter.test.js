@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CanaryRouter, CANARY_HEADER, CANARY_COOKIE } from '../src/routing/canaryRouter.js';
+
+const ORIGINS = ['https://origin1.example.com', 'https://origin2.example.com', 'https://canary.example.com'];
+
+function request(headers = {}) {
+  return new Request('https://example.com/', { headers });
+}
+
+describe('CanaryRouter', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new CanaryRouter({ ORIGINS });
+  });
+
+  it('should not assign groups until a canary is started', () => {
+    expect(router.assign(request(), { clientIP: '203.0.113.7' })).toBeNull();
+    expect(() => router.start({ origins: ORIGINS, percentage: 10 })).toThrow('baseline');
+    expect(() => router.start({ origins: ['https://unknown.example.com'], percentage: 10 })).toThrow('Unknown');
+  });
+
+  it('should split clients by IP hash close to the configured percentage', () => {
+    router.start({ origins: ['https://canary.example.com'], percentage: 20 });
+
+    let canaryClients = 0;
+    for (let i = 0; i < 1000; i++) {
+      const assignment = router.assign(request(), { clientIP: `10.0.${Math.floor(i / 256)}.${i % 256}` });
+      if (assignment.group === 'canary') {
+        canaryClients++;
+        expect(assignment.origins).toEqual(['https://canary.example.com']);
+      }
+    }
+
+    expect(canaryClients).toBeGreaterThan(150);
+    expect(canaryClients).toBeLessThan(250);
+  });
+
+  it('should keep a client in its group via the IP hash and the cookie', () => {
+    router.start({ origins: ['https://canary.example.com'], percentage: 50 });
+    const first = router.assign(request(), { clientIP: '198.51.100.23' });
+
+    expect(router.assign(request(), { clientIP: '198.51.100.23' }).group).toBe(first.group);
+    expect(first.setCookie).toBe(true);
+
+    const cookie = router.getCookie(first).split(';')[0];
+    const fromCookie = router.assign(request({ Cookie: `theme=dark; ${cookie}` }), { clientIP: '192.0.2.1' });
+    expect(fromCookie).toMatchObject({ group: first.group, source: 'cookie', setCookie: false });
+  });
+
+  it('should honour the force header and ignore cookies from an older canary', () => {
+    router.start({ origins: ['https://canary.example.com'], percentage: 0 });
+
+    expect(router.assign(request({ [CANARY_HEADER]: 'canary' }), {}).group).toBe('canary');
+    expect(router.assign(request({ Cookie: `${CANARY_COOKIE}=old.canary` }), { clientIP: '192.0.2.1' }).group)
+      .toBe('baseline');
+  });
+
+  it('should send everyone to one pool once promoted or aborted', () => {
+    router.start({ origins: ['https://canary.example.com'], percentage: 5 });
+    router.promote();
+    expect(router.assign(request({ [CANARY_HEADER]: 'baseline' }), {}).group).toBe('canary');
+    expect(() => router.abort()).toThrow('No active canary');
+
+    router.start({ origins: ['https://canary.example.com'], percentage: 5 });
+    router.abort();
+    expect(router.assign(request(), { clientIP: '192.0.2.1' }).origins).toEqual(ORIGINS.slice(0, 2));
+  });
+});
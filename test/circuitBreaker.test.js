@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { CircuitBreaker } from '../src/routing/circuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let circuitBreaker;
+  const origin = 'https://origin1.example.com';
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    circuitBreaker = new CircuitBreaker({
+      CIRCUIT_FAILURE_THRESHOLD: 3,
+      CIRCUIT_OPEN_DURATION: 10000,
+      CIRCUIT_HALF_OPEN_PROBES: 1
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function openCircuit() {
+    for (let i = 0; i < 3; i++) {
+      circuitBreaker.recordFailure(origin, 'HTTP 502');
+    }
+  }
+
+  it('should open after consecutive failures', () => {
+    circuitBreaker.recordFailure(origin, 'timeout');
+    circuitBreaker.recordFailure(origin, 'timeout');
+    expect(circuitBreaker.getState(origin)).toBe('closed');
+
+    circuitBreaker.recordFailure(origin, 'timeout');
+    expect(circuitBreaker.getState(origin)).toBe('open');
+    expect(circuitBreaker.isAvailable(origin)).toBe(false);
+  });
+
+  it('should reset the failure count on success', () => {
+    circuitBreaker.recordFailure(origin, 'timeout');
+    circuitBreaker.recordFailure(origin, 'timeout');
+    circuitBreaker.recordSuccess(origin);
+    circuitBreaker.recordFailure(origin, 'timeout');
+
+    expect(circuitBreaker.getState(origin)).toBe('closed');
+  });
+
+  it('should allow a limited number of probes once half-open', () => {
+    openCircuit();
+    vi.advanceTimersByTime(10000);
+
+    expect(circuitBreaker.isAvailable(origin)).toBe(true);
+    expect(circuitBreaker.getState(origin)).toBe('half_open');
+
+    circuitBreaker.acquire(origin);
+    expect(circuitBreaker.isAvailable(origin)).toBe(false);
+  });
+
+  it('should close after a successful probe', () => {
+    openCircuit();
+    vi.advanceTimersByTime(10000);
+    circuitBreaker.isAvailable(origin);
+    circuitBreaker.acquire(origin);
+
+    circuitBreaker.recordSuccess(origin);
+    expect(circuitBreaker.getState(origin)).toBe('closed');
+  });
+
+  it('should reopen after a failed probe', () => {
+    openCircuit();
+    vi.advanceTimersByTime(10000);
+    circuitBreaker.isAvailable(origin);
+    circuitBreaker.acquire(origin);
+
+    circuitBreaker.recordFailure(origin, 'HTTP 503');
+    expect(circuitBreaker.getState(origin)).toBe('open');
+    expect(circuitBreaker.getStats()[origin].timesOpened).toBe(2);
+  });
+});
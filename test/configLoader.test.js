@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ConfigLoader } from '../src/config/configLoader.js';
+
+describe('ConfigLoader', () => {
+  let loader;
+  let mockEnv;
+
+  beforeEach(() => {
+    loader = new ConfigLoader();
+    mockEnv = {
+      MAX_CACHE_TTL: '86400',
+      COMPRESSION_LEVEL: '6',
+      ENABLE_HTTP3: 'true',
+      ENABLE_EARLY_HINTS: 'false',
+      MONITORING_INTERVAL: '30000',
+      FAILOVER_TIMEOUT: '5000',
+      ORIGINS: '["https://origin1.example.com", "https://origin2.example.com/"]'
+    };
+  });
+
+  describe('load', () => {
+    it('should parse numbers, booleans and origins from env', () => {
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors).toEqual([]);
+      expect(config.MAX_CACHE_TTL).toBe(86400);
+      expect(config.ENABLE_HTTP3).toBe(true);
+      expect(config.ENABLE_EARLY_HINTS).toBe(false);
+      expect(config.ORIGINS).toEqual([
+        'https://origin1.example.com',
+        'https://origin2.example.com'
+      ]);
+    });
+
+    it('should report out of range values and keep the default', () => {
+      mockEnv.COMPRESSION_LEVEL = '42';
+      mockEnv.FAILOVER_TIMEOUT = 'soon';
+
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors.map(e => e.key)).toEqual(['COMPRESSION_LEVEL', 'FAILOVER_TIMEOUT']);
+      expect(config.COMPRESSION_LEVEL).toBe(6);
+      expect(config.FAILOVER_TIMEOUT).toBe(5000);
+    });
+
+    it('should reject invalid origins', () => {
+      mockEnv.ORIGINS = '["ftp://files.example.com"]';
+
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].key).toBe('ORIGINS');
+      expect(config.ORIGINS).toEqual([]);
+    });
+
+    it('should require ORIGINS', () => {
+      delete mockEnv.ORIGINS;
+
+      const { errors } = loader.load(mockEnv);
+
+      expect(errors[0].message).toContain('ORIGINS is required');
+    });
+
+    it('should report malformed JSON', () => {
+      mockEnv.ORIGINS = '[https://origin1.example.com]';
+
+      const { errors } = loader.load(mockEnv);
+
+      expect(errors[0].message).toContain('not valid JSON');
+    });
+
+    it('should reject unknown log levels', () => {
+      mockEnv.LOG_LEVEL = 'verbose';
+
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors[0].message).toContain('LOG_LEVEL must be one of');
+      expect(config.LOG_LEVEL).toBe('info');
+    });
+
+    it('should validate rate limit rules', () => {
+      mockEnv.RATE_LIMIT_RULES = '[{"pathPrefix":"/api","limit":0,"window":60}]';
+
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors[0].key).toBe('RATE_LIMIT_RULES');
+      expect(config.RATE_LIMIT_RULES).toEqual([]);
+    });
+
+    it('should parse retry status codes from a list', () => {
+      mockEnv.RETRY_STATUSES = '500, 502,503';
+      expect(loader.load(mockEnv).config.RETRY_STATUSES).toEqual([500, 502, 503]);
+
+      mockEnv.RETRY_STATUSES = '[502, 404]';
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors[0].key).toBe('RETRY_STATUSES');
+      expect(config.RETRY_STATUSES).toEqual([502, 503, 504]);
+    });
+
+    it('should parse per-origin health check specs', () => {
+      mockEnv.HEALTH_CHECKS = JSON.stringify({
+        default: { path: '/healthz', expectedStatus: [200, '300-399'] },
+        'https://origin2.example.com/': { method: 'get', json: { path: '$.status', equals: 'ok' }, timeout: 2000 }
+      });
+      expect(loader.load(mockEnv).config.HEALTH_CHECKS).toEqual({
+        default: { path: '/healthz', expectedStatus: [[200, 200], [300, 399]] },
+        'https://origin2.example.com': { method: 'GET', json: { path: '$.status', equals: 'ok' }, timeout: 2000 }
+      });
+
+      mockEnv.HEALTH_CHECKS = '{"default": {"method": "HEAD", "bodyContains": "ok"}}';
+      const { config, errors } = loader.load(mockEnv);
+
+      expect(errors[0]).toMatchObject({ key: 'HEALTH_CHECKS', message: 'HEALTH_CHECKS default body assertions need the GET method' });
+      expect(config.HEALTH_CHECKS).toEqual({});
+    });
+  });
+});
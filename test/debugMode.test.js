@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { DebugMode, DEBUG_HEADER } from '../src/admin/debugMode.js';
+import { DecisionTrace } from '../src/analytics/decisionTrace.js';
+
+const ADMIN_TOKEN = 'test-admin-token-123456';
+const SIGNING_KEY = 'test-debug-signing-key-0123456789abcdef';
+
+function debugRequest(value) {
+  return new Request('https://worker.example.com/page', {
+    headers: value ? { [DEBUG_HEADER]: value } : {}
+  });
+}
+
+describe('DebugMode', () => {
+  const debugMode = new DebugMode({ ADMIN_TOKEN, DEBUG_SIGNING_KEY: SIGNING_KEY });
+
+  it('should authorize the admin token', async () => {
+    expect(await debugMode.isAuthorized(debugRequest(ADMIN_TOKEN))).toBe(true);
+    expect(await debugMode.isAuthorized(debugRequest('not-the-token'))).toBe(false);
+    expect(await debugMode.isAuthorized(debugRequest(null))).toBe(false);
+  });
+
+  it('should authorize minted tokens until they expire', async () => {
+    const { token } = await debugMode.createToken(60);
+    const [expires, signature] = token.split('.');
+    const tampered = `${Number(expires) + 3600}.${signature}`;
+
+    expect(await debugMode.isAuthorized(debugRequest(token))).toBe(true);
+    expect(await debugMode.isAuthorized(debugRequest(tampered))).toBe(false);
+  });
+
+  it('should reject expired tokens', async () => {
+    const expired = new DebugMode({ DEBUG_SIGNING_KEY: SIGNING_KEY });
+    const expires = Math.floor(Date.now() / 1000) - 10;
+    const { token } = await expired.createToken(60);
+    const signature = token.split('.')[1];
+
+    expect(await expired.verifyToken(`${expires}.${signature}`)).toBe(false);
+  });
+
+  it('should refuse to mint tokens without a signing key', async () => {
+    await expect(new DebugMode({ ADMIN_TOKEN }).createToken(60)).rejects.toThrow('DEBUG_SIGNING_KEY');
+  });
+});
+
+describe('DecisionTrace', () => {
+  it('should serialize to a single-line ASCII header value', () => {
+    const trace = new DecisionTrace('test-123');
+    trace.record('cacheKey', { key: 'cache:abc:%2F', varyFactors: ['country:Zürich'] });
+    trace.append('failovers', { from: 'a', to: 'b', reason: 'timeout' });
+
+    const header = trace.toHeader();
+
+    expect(header).toMatch(/^[\x20-\x7e]+$/);
+    expect(JSON.parse(header).cacheKey.varyFactors[0]).toBe('country:Zürich');
+    expect(JSON.parse(header).failovers).toHaveLength(1);
+  });
+});
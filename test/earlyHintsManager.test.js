@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EarlyHintsManager } from '../src/optimizers/earlyHintsManager.js';
+
+describe('EarlyHintsManager', () => {
+  let manager;
+  let mockKv;
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    mockKv = {
+      get: vi.fn(async (key) => (stored.has(key) ? JSON.parse(stored.get(key)) : null)),
+      put: vi.fn(async (key, value) => stored.set(key, value)),
+      delete: vi.fn(async (key) => stored.delete(key))
+    };
+    manager = new EarlyHintsManager(mockKv, { ENABLE_EARLY_HINTS: true, EARLY_HINTS_MAX_PER_PATH: 3 });
+  });
+
+  it('should extract preloads from HTML link and script tags', () => {
+    const hints = manager.parseHtml(`
+      <link rel="stylesheet" href="/css/site.css">
+      <link rel=preload href='/fonts/a.woff2' as=font crossorigin>
+      <link rel="icon" href="/favicon.ico">
+      <script type="module" src="/js/app.mjs"></script>
+      <script src="http://insecure.example.com/x.js"></script>
+    `);
+
+    expect(hints.map(hint => manager.formatLink(hint))).toEqual([
+      '</css/site.css>; rel=preload; as=style',
+      '</fonts/a.woff2>; rel=preload; as=font; crossorigin=anonymous',
+      '</js/app.mjs>; rel=modulepreload; as=script'
+    ]);
+  });
+
+  it('should keep only hint relations from the origin Link header', () => {
+    const hints = manager.parseLinkHeader(
+      '</css/a.css>; rel=preload; as=style, <https://cdn.example.com>; rel=preconnect, </next>; rel=next'
+    );
+
+    expect(hints.map(hint => hint.href)).toEqual(['/css/a.css', 'https://cdn.example.com']);
+  });
+
+  it('should learn hints from an HTML response and cap them per path', async () => {
+    const html = ['/a.js', '/b.js', '/c.js', '/d.js'].map(src => `<script src="${src}"></script>`).join('');
+    await manager.learn('/', new Response(html, { status: 200, headers: { 'content-type': 'text/html' } }));
+
+    const hints = await manager.getHints('/');
+    expect(hints).toHaveLength(3);
+    expect(mockKv.put).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only copy the body of HTML responses it is going to scan', async () => {
+    const json = new Response('{}', { status: 200, headers: { 'content-type': 'application/json', link: '</a.css>; rel=preload; as=style' } });
+    const html = new Response('<script src="/a.js"></script>', { status: 200, headers: { 'content-type': 'text/html' } });
+    vi.spyOn(json, 'clone');
+    vi.spyOn(html, 'clone');
+
+    await manager.learn('/api', json);
+    await manager.learn('/', html);
+    await manager.learn('/', html);
+
+    expect(json.clone).not.toHaveBeenCalled();
+    // The second call falls inside the learn interval
+    expect(html.clone).toHaveBeenCalledTimes(1);
+    expect(await manager.getHints('/api')).toHaveLength(1);
+  });
+
+  it('should add learned hints to HTML responses without duplicating origin links', () => {
+    const hints = [
+      { href: '/css/a.css', rel: 'preload', as: 'style', lastSeen: Date.now() },
+      { href: '/js/b.js', rel: 'preload', as: 'script', lastSeen: Date.now() }
+    ];
+    const response = new Response('<html></html>', {
+      headers: { 'content-type': 'text/html', link: '</css/a.css>; rel=preload; as=style' }
+    });
+
+    const hinted = manager.applyHints(response, hints);
+
+    expect(hinted.headers.get('link')).toBe(
+      '</css/a.css>; rel=preload; as=style, </js/b.js>; rel=preload; as=script'
+    );
+  });
+
+  it('should not touch non-HTML responses', () => {
+    const response = new Response('{}', { headers: { 'content-type': 'application/json' } });
+    const hints = [{ href: '/js/b.js', rel: 'preload', as: 'script', lastSeen: Date.now() }];
+
+    expect(manager.applyHints(response, hints)).toBe(response);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ErrorPages } from '../src/admin/errorPages.js';
+
+function requestAccepting(accept) {
+  return new Request('https://example.com/', { headers: accept ? { Accept: accept } : {} });
+}
+
+describe('ErrorPages', () => {
+  let errorPages;
+
+  beforeEach(() => {
+    errorPages = new ErrorPages();
+  });
+
+  it('should choose HTML or JSON from the Accept header', async () => {
+    const browser = errorPages.render(requestAccepting('text/html,application/xhtml+xml,*/*;q=0.8'), 500, 'err-1');
+    expect(browser.headers.get('Content-Type')).toContain('text/html');
+    expect(browser.body).toContain('err-1');
+
+    const api = errorPages.render(requestAccepting('*/*'), 500, 'err-2');
+    expect(api.headers.get('Content-Type')).toBe('application/json');
+    expect(JSON.parse(api.body)).toMatchObject({ status: 500, errorId: 'err-2' });
+    expect(api.headers.get('X-Error-ID')).toBe('err-2');
+  });
+
+  it('should render custom templates per status class with escaped values', () => {
+    errorPages.setPage('4xx', { html: '<p>{{status}}: {{message}}</p>' });
+
+    const response = errorPages.render(requestAccepting('text/html'), 429, 'err-3', { message: '<slow down>' });
+
+    expect(response.body).toBe('<p>429: &#60;slow down&#62;</p>');
+    expect(errorPages.render(requestAccepting('text/html'), 500, 'err-4').body).toContain('<h1>');
+  });
+
+  it('should reject JSON templates that do not render valid JSON', () => {
+    expect(() => errorPages.setPage('5xx', { json: '{"error": {{message}}}' })).toThrow('valid JSON');
+    expect(() => errorPages.setPage('teapot', { html: '<p></p>' })).toThrow('must be one of');
+  });
+
+  it('should keep rate limit headers while replacing the body', () => {
+    const response = errorPages.render(requestAccepting('application/json'), 429, 'err-5', {
+      headers: new Headers({ 'Retry-After': '12', 'X-Ping-Booster': 'rate-limited', 'Content-Type': 'text/plain' })
+    });
+
+    expect(response.headers.get('Retry-After')).toBe('12');
+    expect(response.headers.get('X-Ping-Booster')).toBe('rate-limited');
+    expect(response.headers.get('Content-Type')).toBe('application/json');
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { HashRing } from '../src/routing/hashRing.js';
+
+const ORIGINS = Array.from({ length: 4 }, (_, i) => `https://origin${i + 1}.example.com`);
+const KEYS = Array.from({ length: 2000 }, (_, i) => `/assets/file-${i}.js`);
+
+describe('HashRing', () => {
+  it('should spread keys roughly evenly across origins', () => {
+    const ring = new HashRing(ORIGINS);
+    const distribution = ring.getDistribution();
+
+    expect(Object.keys(distribution)).toEqual(ORIGINS);
+    Object.values(distribution).forEach(share => {
+      expect(share).toBeGreaterThan(0.15);
+      expect(share).toBeLessThan(0.35);
+    });
+    expect(Object.values(distribution).reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 2);
+  });
+
+  it('should only remap about 1/N of keys when an origin is added', () => {
+    const before = new HashRing(ORIGINS);
+    const after = new HashRing([...ORIGINS, 'https://origin5.example.com']);
+
+    const moved = KEYS.filter(key => before.lookup(key) !== after.lookup(key));
+    // Every moved key belongs to the new origin; nothing shuffles between the existing ones
+    moved.forEach(key => expect(after.lookup(key)).toBe('https://origin5.example.com'));
+    expect(moved.length / KEYS.length).toBeGreaterThan(0.1);
+    expect(moved.length / KEYS.length).toBeLessThan(0.3);
+  });
+
+  it('should walk past origins that are not eligible', () => {
+    const ring = new HashRing(ORIGINS);
+    const eligible = ORIGINS.slice(1);
+
+    KEYS.slice(0, 100).forEach(key => {
+      const order = ring.walk(key);
+      expect(new Set(order).size).toBe(ORIGINS.length);
+      expect(ring.lookup(key, eligible)).toBe(order.find(origin => eligible.includes(origin)));
+    });
+  });
+});
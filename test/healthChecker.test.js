@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HealthChecker } from '../src/monitoring/healthChecker.js';
+
+const ORIGINS = ['https://origin1.example.com', 'https://origin2.example.com'];
+
+describe('HealthChecker passive health', () => {
+  let healthChecker;
+
+  beforeEach(() => {
+    vi.spyOn(Date, 'now').mockReturnValue(1000000);
+    healthChecker = new HealthChecker({
+      ORIGINS,
+      PASSIVE_HEALTH_MIN_REQUESTS: 10,
+      PASSIVE_HEALTH_ERROR_RATE: 0.5,
+      // Passive windows only, unless a test turns outlier ejection on
+      OUTLIER_CONSECUTIVE_5XX: 0
+    });
+
+    // Both origins pass their active probes
+    ORIGINS.forEach(origin => {
+      const health = { healthy: true, responseTime: 100, error: null, checks: {} };
+      healthChecker.healthCache.set(`health:${origin}`, { health, timestamp: Date.now() });
+      healthChecker.updateOriginMetrics(origin, health);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should mark an origin down when live traffic fails even though its probes pass', () => {
+    for (let i = 0; i < 9; i++) {
+      healthChecker.recordRequest(ORIGINS[0], { latency: 40, status: 502 });
+    }
+    // Below PASSIVE_HEALTH_MIN_REQUESTS the probes still decide
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(true);
+
+    healthChecker.recordRequest(ORIGINS[0], { latency: 5000, error: 'timeout' });
+    healthChecker.recordRequest(ORIGINS[1], { latency: 40, status: 404 });
+
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(false);
+    expect(healthChecker.isOriginHealthy(ORIGINS[1])).toBe(true);
+    expect(healthChecker.getPassiveStats()[ORIGINS[0]]).toMatchObject({
+      requests: 10,
+      serverErrors: 9,
+      networkErrors: 1,
+      errorRate: 1,
+      averageLatency: 40,
+      failing: true
+    });
+  });
+
+  it('should let failures slide out of the window', () => {
+    for (let i = 0; i < 10; i++) {
+      healthChecker.recordRequest(ORIGINS[0], { latency: 40, status: 503 });
+    }
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(false);
+
+    Date.now.mockReturnValue(1000000 + 60000);
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(true);
+    expect(healthChecker.getPassiveStats()[ORIGINS[0]].requests).toBe(0);
+  });
+
+  it('should take an ejected outlier out of rotation until its ejection ends', () => {
+    healthChecker.outliers.consecutiveLimit = 6;
+    for (let i = 0; i < 5; i++) {
+      healthChecker.recordRequest(ORIGINS[0], { latency: 40, error: 'connection refused' });
+    }
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(true);
+
+    // Two origins with the default 50% cap allow one ejection
+    healthChecker.recordRequest(ORIGINS[0], { latency: 40, error: 'connection refused' });
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(false);
+    expect(healthChecker.getOutlierStatus().ejected[0]).toMatchObject({ origin: ORIGINS[0], reason: 'consecutive_5xx' });
+
+    Date.now.mockReturnValue(1000000 + 30000);
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(true);
+    expect(healthChecker.getPassiveStats()[ORIGINS[0]].requests).toBe(0);
+    expect(healthChecker.getOutlierStatus().events.map(event => event.type)).toEqual(['ejected', 'restored']);
+  });
+
+  it('should blend live traffic into the health score', () => {
+    const probeOnly = healthChecker.getOriginsByHealth().find(item => item.origin === ORIGINS[0]).healthScore;
+
+    for (let i = 0; i < 10; i++) {
+      healthChecker.recordRequest(ORIGINS[0], { latency: 100, status: i < 4 ? 500 : 200 });
+      healthChecker.recordRequest(ORIGINS[1], { latency: 100, status: 200 });
+    }
+
+    const [best, worst] = healthChecker.getOriginsByHealth();
+    expect(best.origin).toBe(ORIGINS[1]);
+    expect(best.healthScore).toBe(probeOnly);
+    expect(worst.healthScore).toBeLessThan(probeOnly);
+  });
+});
+
+describe('HealthChecker health check specs', () => {
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  it('should probe each origin once with its own spec', async () => {
+    const healthChecker = new HealthChecker({
+      ORIGINS,
+      HEALTH_CHECKS: {
+        default: { path: '/healthz', expectedStatus: [[200, 299]], headers: { 'X-Probe': 'edge' } },
+        [ORIGINS[1]]: { path: '/ready', json: { path: '$.checks[0].status', equals: 'ok' }, timeout: 1000 }
+      }
+    });
+    fetch
+      .mockResolvedValueOnce(new Response('', { status: 204 }))
+      .mockResolvedValueOnce(new Response('{"checks":[{"name":"db","status":"degraded"}]}', { status: 200 }));
+
+    const results = await healthChecker.checkAllOrigins();
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toBe(`${ORIGINS[0]}/healthz`);
+    expect(fetch.mock.calls[1][1]).toMatchObject({ method: 'GET', headers: { 'X-Probe': 'edge' } });
+    expect(results[ORIGINS[0]]).toMatchObject({ healthy: true, check: 'GET /healthz', status: 204 });
+    expect(results[ORIGINS[1]]).toMatchObject({
+      healthy: false,
+      check: 'GET /ready',
+      checks: { status: true, body: false },
+      error: 'Response body did not match'
+    });
+  });
+
+  it('should fail origins outside the expected status ranges or that time out', async () => {
+    const healthChecker = new HealthChecker({ ORIGINS, HEALTH_CHECKS: { default: { bodyContains: 'UP' } } });
+    fetch
+      .mockResolvedValueOnce(new Response('DOWN', { status: 503 }))
+      .mockRejectedValueOnce(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+
+    const results = await healthChecker.checkAllOrigins();
+
+    expect(results[ORIGINS[0]]).toMatchObject({ healthy: false, error: 'Unexpected status 503' });
+    expect(results[ORIGINS[1]]).toMatchObject({ healthy: false, error: 'Health check timed out after 5000ms' });
+  });
+});
+
+describe('HealthChecker rise/fall hysteresis', () => {
+  afterEach(() => {
+    fetch.mockReset();
+    vi.restoreAllMocks();
+  });
+
+  it('should move through degraded to down and need consecutive passes to come back', async () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000000);
+    const analytics = { recordHealthTransition: vi.fn() };
+    const healthChecker = new HealthChecker({ ORIGINS: ORIGINS.slice(0, 1), HEALTH_RISE: 2, HEALTH_FALL: 2 }, null, analytics);
+
+    // true = check passes; each round is one MONITORING_INTERVAL later
+    const states = [];
+    for (const passes of [true, false, true, false, false, true, true]) {
+      fetch.mockResolvedValueOnce(new Response('', { status: passes ? 200 : 503 }));
+      const health = await healthChecker.checkOriginHealth(ORIGINS[0]);
+      states.push([health.state, healthChecker.isOriginHealthy(ORIGINS[0])]);
+      now.mockReturnValue(Date.now() + 30000);
+    }
+
+    expect(states).toEqual([
+      ['up', true],
+      ['degraded', true],
+      ['up', true],
+      ['degraded', true],
+      ['down', false],
+      ['down', false],
+      ['up', true]
+    ]);
+    expect(analytics.recordHealthTransition.mock.calls.map(([event]) => `${event.from}->${event.to}`)).toEqual([
+      'unknown->up', 'up->degraded', 'degraded->up', 'up->degraded', 'degraded->down', 'down->up'
+    ]);
+    expect(analytics.recordHealthTransition.mock.calls[4][0]).toMatchObject({
+      origin: ORIGINS[0],
+      reason: 'Unexpected status 503',
+      consecutiveFailures: 2
+    });
+    expect(healthChecker.getStates()[ORIGINS[0]]).toMatchObject({ state: 'up', consecutiveSuccesses: 2 });
+  });
+
+  it('should keep an origin in rotation when its last result is old', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1000000);
+    const healthChecker = new HealthChecker({ ORIGINS });
+    healthChecker.healthCache.set(`health:${ORIGINS[0]}`, { health: { healthy: true, state: 'up' }, timestamp: 0 });
+
+    expect(healthChecker.isOriginHealthy(ORIGINS[0])).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { HealthHistory } from '../src/monitoring/healthHistory.js';
+
+const ORIGIN = 'https://origin1.example.com';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function result(timestamp, state, extra = {}) {
+  return { timestamp, passed: state === 'up', state, responseTime: 100, error: null, ...extra };
+}
+
+describe('HealthHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new HealthHistory();
+  });
+
+  it('should report uptime per window, incidents and mean time to recovery', () => {
+    const start = 10 * DAY;
+    history.record(ORIGIN, result(start, 'up'));
+    // 30 minutes down two days in, 10 minutes down in the last hour
+    history.record(ORIGIN, result(start + 2 * DAY, 'down', { error: 'Unexpected status 503' }));
+    history.record(ORIGIN, result(start + 2 * DAY + 30 * MINUTE, 'up'));
+    history.record(ORIGIN, result(start + 4 * DAY - 20 * MINUTE, 'down', { error: 'Connection refused' }));
+    history.record(ORIGIN, result(start + 4 * DAY - 10 * MINUTE, 'up'));
+
+    const report = history.getReport([ORIGIN, 'https://origin2.example.com'], start + 4 * DAY).origins;
+
+    expect(report[ORIGIN].uptime['1h']).toBe(83.333);
+    expect(report[ORIGIN].uptime['24h']).toBe(Number(((1 - 10 / 1440) * 100).toFixed(3)));
+    // The 7d and 30d windows only cover the four days the history has
+    expect(report[ORIGIN].downtime['7d']).toBe(40 * MINUTE);
+    expect(report[ORIGIN].uptime['30d']).toBe(report[ORIGIN].uptime['7d']);
+    expect(report[ORIGIN].incidents.map(incident => incident.reason)).toEqual(['Connection refused', 'Unexpected status 503']);
+    expect(report[ORIGIN].mttr).toBe(20 * MINUTE);
+    expect(report['https://origin2.example.com']).toMatchObject({ state: 'unknown', uptime: null, incidents: [] });
+  });
+
+  it('should keep an incident open until the origin is back and ignore late results for it', () => {
+    history.record(ORIGIN, result(0, 'up'));
+    history.record(ORIGIN, result(HOUR, 'down'));
+    // An older result reported late by another isolate
+    history.record(ORIGIN, result(HOUR - MINUTE, 'up'));
+
+    const report = history.getReport([ORIGIN], 2 * HOUR).origins[ORIGIN];
+    expect(report.state).toBe('down');
+    expect(report.incidents).toEqual([{ from: new Date(HOUR).toISOString(), to: null, duration: HOUR, reason: null }]);
+    expect(report.uptime['24h']).toBe(50);
+    expect(report.mttr).toBeNull();
+    expect(report.series.map(point => [point.checks, point.passed])).toEqual([[2, 2], [1, 0]]);
+  });
+
+  it('should drop results and resolved incidents older than 30 days', () => {
+    history.record(ORIGIN, result(0, 'down'));
+    history.record(ORIGIN, result(MINUTE, 'up'));
+    history.record(ORIGIN, result(31 * DAY, 'up'));
+
+    const state = history.exportState()[ORIGIN];
+    expect(state.incidents).toEqual([]);
+    expect(state.series).toHaveLength(1);
+  });
+});
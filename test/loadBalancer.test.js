@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { LoadBalancer } from '../src/routing/loadBalancer.js';
+import { DecisionTrace } from '../src/analytics/decisionTrace.js';
 
 // Mock HealthChecker
 class MockHealthChecker {
@@ -67,6 +68,111 @@ describe('LoadBalancer', () => {
       
       expect(origin).toBe(mockOrigins[0]);
     });
+
+    it('should explain the selection to a debug decision trace', async () => {
+      mockHealthChecker.setHealthy(mockOrigins[2], false);
+      loadBalancer.setAlgorithm('least_connections');
+      loadBalancer.connectionCounts.set(mockOrigins[0], 4);
+      const debug = new DecisionTrace('test-123');
+
+      const origin = await loadBalancer.getOptimalOrigin({ edgeColo: 'LAX', country: 'US', debug });
+
+      const { origins, selections } = debug.decisions;
+      expect(origins.filter(o => o.eligible).map(o => o.origin)).toEqual(mockOrigins.slice(0, 2));
+      expect(selections[0]).toEqual({
+        purpose: 'primary',
+        algorithm: 'least_connections',
+        candidates: {
+          [mockOrigins[0]]: { connections: 4 },
+          [mockOrigins[1]]: { connections: 0 }
+        },
+        selected: origin
+      });
+      expect(origin).toBe(mockOrigins[1]);
+    });
+
+    it('should keep canary clients inside their pool until it has no healthy origin', async () => {
+      const context = { edgeColo: 'LAX', country: 'US', canary: { group: 'canary', origins: [mockOrigins[2]] } };
+
+      expect(await loadBalancer.getOptimalOrigin(context)).toBe(mockOrigins[2]);
+      expect(mockOrigins.slice(0, 2)).toContain(await loadBalancer.getFailoverOrigin(mockOrigins[2], context));
+
+      mockHealthChecker.setHealthy(mockOrigins[2], false);
+      expect(mockOrigins.slice(0, 2)).toContain(await loadBalancer.getOptimalOrigin(context));
+    });
+  });
+
+  describe('session affinity', () => {
+    it('should honour a pinned origin and re-pin when it becomes unhealthy', async () => {
+      const context = { edgeColo: 'LAX', affinity: { mode: 'cookie', origin: mockOrigins[2] } };
+
+      expect(await loadBalancer.getOptimalOrigin(context)).toBe(mockOrigins[2]);
+      expect(context.affinity.assigned).toBeUndefined();
+
+      mockHealthChecker.setHealthy(mockOrigins[2], false);
+      const repinned = await loadBalancer.getOptimalOrigin(context);
+      expect(repinned).not.toBe(mockOrigins[2]);
+      expect(context.affinity.assigned).toBe(repinned);
+    });
+
+    it('should only move hashed keys whose origin left the healthy set', async () => {
+      const keys = Array.from({ length: 50 }, (_, i) => `client-${i}`);
+      const pick = () => Promise.all(keys.map(key => loadBalancer.getOptimalOrigin({ affinity: { mode: 'ip', key } })));
+
+      const before = await pick();
+      expect(new Set(before).size).toBe(3);
+
+      mockHealthChecker.setHealthy(mockOrigins[0], false);
+      const after = await pick();
+      before.forEach((origin, i) => {
+        if (origin !== mockOrigins[0]) {
+          expect(after[i]).toBe(origin);
+        }
+      });
+    });
+  });
+
+  describe('consistent hashing', () => {
+    it('should keep a key on its origin and count it in flight until released', async () => {
+      loadBalancer.setAlgorithm('consistent_hash');
+      const context = { hashKey: '/videos/42.mp4' };
+
+      const origin = await loadBalancer.getOptimalOrigin(context);
+      expect(await loadBalancer.getOptimalOrigin(context)).toBe(origin);
+      expect(loadBalancer.connectionCounts.get(origin)).toBe(2);
+
+      loadBalancer.releaseConnection(origin);
+      loadBalancer.releaseConnection(origin);
+      expect(loadBalancer.connectionCounts.get(origin)).toBe(0);
+    });
+
+    it('should spill to the next origin on the ring once an origin exceeds its bounded load', async () => {
+      loadBalancer.setAlgorithm('bounded_load_hash');
+      const context = { hashKey: '/live/stream.m3u8' };
+      const [home, next] = loadBalancer.hashRing.walk(context.hashKey);
+
+      // Capacity with n requests in flight is ceil(1.25 * (n + 1) / 3): 1, 1, 2, 2, 3, 3
+      const picks = [];
+      for (let i = 0; i < 6; i++) {
+        picks.push(await loadBalancer.getOptimalOrigin(context));
+      }
+
+      expect(picks).toEqual([home, next, home, next, home, next]);
+
+      loadBalancer.releaseConnection(next);
+      loadBalancer.releaseConnection(home);
+      expect(await loadBalancer.getOptimalOrigin(context)).toBe(home);
+    });
+
+    it('should read the hash key from the configured source', () => {
+      const request = new Request('https://example.com/a/b?c=1', { headers: { 'X-Tenant': 'acme' } });
+      const byHeader = new LoadBalancer(mockOrigins, mockHealthChecker, { HASH_KEY: 'header', HASH_HEADER: 'X-Tenant' });
+      const byIp = new LoadBalancer(mockOrigins, mockHealthChecker, { HASH_KEY: 'ip' });
+
+      expect(loadBalancer.getHashKey(request, {})).toBe('/a/b');
+      expect(byHeader.getHashKey(request, {})).toBe('acme');
+      expect(byIp.getHashKey(request, { clientIP: '203.0.113.7' })).toBe('203.0.113.7');
+    });
   });
 
   describe('roundRobin', () => {
@@ -94,6 +200,22 @@ describe('LoadBalancer', () => {
       const selected = loadBalancer.leastConnections(origins);
       expect(selected).toBe(origins[1]); // Should pick the one with 2 connections
     });
+
+    it('should add its own in-flight requests to the shared counts of other isolates', () => {
+      const monitor = { enqueue: vi.fn() };
+      loadBalancer = new LoadBalancer(mockOrigins, mockHealthChecker, {}, monitor);
+      loadBalancer.acquireOrigin(mockOrigins[0]);
+      loadBalancer.connectionCounts.set(mockOrigins[2], 7);
+
+      loadBalancer.importState({ connectionCounts: { [mockOrigins[0]]: 3, [mockOrigins[1]]: 1 } });
+
+      expect(Object.fromEntries(loadBalancer.connectionCounts)).toEqual({
+        [mockOrigins[0]]: 4,
+        [mockOrigins[1]]: 1,
+        [mockOrigins[2]]: 0
+      });
+      expect(monitor.enqueue).toHaveBeenLastCalledWith({ type: 'connections', counts: { [mockOrigins[0]]: 1 } });
+    });
   });
 
   describe('geographic', () => {
@@ -120,6 +242,31 @@ describe('LoadBalancer', () => {
     });
   });
 
+  describe('circuit breaker', () => {
+    it('should skip origins with an open circuit', async () => {
+      loadBalancer.setAlgorithm('round_robin');
+      for (let i = 0; i < 5; i++) {
+        loadBalancer.recordOutcome(mockOrigins[0], false, 'HTTP 502');
+      }
+
+      const context = { edgeColo: 'LAX', country: 'US' };
+      for (let i = 0; i < 4; i++) {
+        expect(await loadBalancer.getOptimalOrigin(context)).not.toBe(mockOrigins[0]);
+      }
+      expect(loadBalancer.getStats().circuits[mockOrigins[0]].state).toBe('open');
+    });
+
+    it('should not fail over to an origin with an open circuit', async () => {
+      for (let i = 0; i < 5; i++) {
+        loadBalancer.recordOutcome(mockOrigins[1], false, 'timeout');
+      }
+
+      const context = { edgeColo: 'LAX', country: 'US' };
+      const failoverOrigin = await loadBalancer.getFailoverOrigin(mockOrigins[0], context);
+      expect(failoverOrigin).toBe(mockOrigins[2]);
+    });
+  });
+
   describe('recordLatency', () => {
     it('should record and calculate average latency', () => {
       const origin = mockOrigins[0];
@@ -133,6 +280,54 @@ describe('LoadBalancer', () => {
     });
   });
 
+  describe('latency-aware algorithms', () => {
+    it('should pick the origin with the lowest average latency', async () => {
+      loadBalancer.recordLatency(mockOrigins[0], 300);
+      loadBalancer.recordLatency(mockOrigins[1], 80);
+
+      expect(await loadBalancer.latencyBased(mockOrigins.slice(0, 2), {})).toBe(mockOrigins[1]);
+    });
+
+    it('should jump to a latency peak and decay back over EWMA_DECAY_TIME', () => {
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000000);
+      const origin = mockOrigins[0];
+
+      loadBalancer.recordLatency(origin, 50);
+      loadBalancer.recordLatency(origin, 800);
+      expect(loadBalancer.getEwmaLatency(origin)).toBe(800);
+
+      // One decay time later a fast sample only pulls the average part of the way down
+      now.mockReturnValue(1000000 + 10000);
+      loadBalancer.recordLatency(origin, 50);
+      expect(loadBalancer.getEwmaLatency(origin)).toBe(Math.round(800 / Math.E + 50 * (1 - 1 / Math.E)));
+      now.mockRestore();
+    });
+
+    it('should weigh peak EWMA latency by in-flight requests', async () => {
+      loadBalancer.setAlgorithm('peak_ewma');
+      loadBalancer.recordLatency(mockOrigins[0], 100);
+      loadBalancer.recordLatency(mockOrigins[1], 150);
+      loadBalancer.recordLatency(mockOrigins[2], 400);
+
+      expect(await loadBalancer.getOptimalOrigin({})).toBe(mockOrigins[0]);
+      // 100ms with one in flight (cost 200) now loses to an idle 150ms origin
+      expect(await loadBalancer.getOptimalOrigin({})).toBe(mockOrigins[1]);
+      expect(loadBalancer.getLoadCost(mockOrigins[0])).toBe(200);
+    });
+
+    it('should send p2c requests to the cheaper of two sampled origins', async () => {
+      loadBalancer.setAlgorithm('p2c');
+      loadBalancer.recordLatency(mockOrigins[0], 100);
+      loadBalancer.recordLatency(mockOrigins[1], 400);
+      loadBalancer.recordLatency(mockOrigins[2], 50);
+
+      // Samples origins 1 and 2; origin 3 is cheapest overall but was not sampled
+      const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.1).mockReturnValueOnce(0.1);
+      expect(await loadBalancer.getOptimalOrigin({})).toBe(mockOrigins[0]);
+      random.mockRestore();
+    });
+  });
+
   describe('setAlgorithm', () => {
     it('should change load balancing algorithm', () => {
       loadBalancer.setAlgorithm('round_robin');
@@ -146,6 +341,18 @@ describe('LoadBalancer', () => {
     });
   });
 
+  describe('getRecommendations', () => {
+    it('should report outlier ejections and restorations', () => {
+      const ejection = { origin: mockOrigins[1], reason: 'latency', offense: 1 };
+      const restoration = { type: 'restored', origin: mockOrigins[2], reason: 'consecutive_5xx' };
+      mockHealthChecker.getOutlierStatus = () => ({ maxEjected: 1, ejected: [ejection], events: [restoration] });
+
+      const types = loadBalancer.getRecommendations().map(item => item.type);
+      expect(types).toEqual(expect.arrayContaining(['outlier_ejections', 'outlier_restorations']));
+      expect(loadBalancer.getRecommendations().find(item => item.type === 'outlier_ejections').details).toEqual([ejection]);
+    });
+  });
+
   describe('getStats', () => {
     it('should return comprehensive statistics', () => {
       const stats = loadBalancer.getStats();
@@ -160,6 +367,8 @@ describe('LoadBalancer', () => {
       
       expect(stats.origins).toBe(mockOrigins.length);
       expect(stats.healthyOrigins).toBe(mockOrigins.length);
+      expect(Object.keys(stats.hashRing.distribution)).toEqual(mockOrigins);
+      expect(stats.hashRing).toMatchObject({ keySource: 'path', virtualNodes: 160, loadFactor: 1.25 });
     });
   });
 });
\ No newline at end of file
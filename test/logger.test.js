@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { configureLogging, createLogger } from '../src/utils/logger.js';
+
+describe('Logger', () => {
+  let logSpy;
+  let errorSpy;
+  const logger = createLogger('TestComponent');
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    configureLogging({});
+  });
+
+  it('should emit one JSON line with component, event and fields', () => {
+    logger.info('origin_selected', { requestId: 'req-1', origin: 'https://origin1.example.com', skipped: undefined });
+
+    const entry = JSON.parse(logSpy.mock.calls[0][0]);
+    expect(entry).toMatchObject({
+      level: 'info',
+      component: 'TestComponent',
+      event: 'origin_selected',
+      requestId: 'req-1',
+      origin: 'https://origin1.example.com'
+    });
+    expect(entry).not.toHaveProperty('skipped');
+  });
+
+  it('should drop entries below the configured level', () => {
+    logger.debug('tcp_optimized');
+    configureLogging({ LOG_LEVEL: 'debug' });
+    logger.debug('tcp_optimized');
+
+    expect(logSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should serialize errors', () => {
+    logger.error('cache_get_failed', { error: new Error('KV unavailable') });
+
+    const entry = JSON.parse(errorSpy.mock.calls[0][0]);
+    expect(entry.error.message).toBe('KV unavailable');
+  });
+
+  it('should sample events by component-qualified or bare name', () => {
+    configureLogging({ LOG_SAMPLING: { 'TestComponent.noisy': 0, quiet: 0 } });
+
+    logger.info('noisy');
+    logger.info('quiet');
+    logger.info('kept');
+
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(logSpy.mock.calls[0][0]).event).toBe('kept');
+  });
+});
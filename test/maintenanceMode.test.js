@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MaintenanceMode } from '../src/admin/maintenanceMode.js';
+
+const BYPASS_SECRET = 'team-bypass-secret-0001';
+
+describe('MaintenanceMode', () => {
+  let maintenance;
+
+  beforeEach(() => {
+    maintenance = new MaintenanceMode();
+  });
+
+  it('should only block while enabled', () => {
+    const request = new Request('https://example.com/');
+
+    expect(maintenance.blocks(request, { clientIP: '203.0.113.9' })).toBe(false);
+    maintenance.update({ enabled: true, retryAfter: 600 });
+    expect(maintenance.blocks(request, { clientIP: '203.0.113.9' })).toBe(true);
+    expect(maintenance.getStatus().since).not.toBeNull();
+  });
+
+  it('should let allowlisted IPs and headers through', () => {
+    maintenance.update({
+      enabled: true,
+      allowIps: ['198.51.100.7'],
+      allowHeaders: { 'X-Maintenance-Bypass': BYPASS_SECRET }
+    });
+
+    expect(maintenance.blocks(new Request('https://example.com/'), { clientIP: '198.51.100.7' })).toBe(false);
+    expect(maintenance.blocks(new Request('https://example.com/', {
+      headers: { 'X-Maintenance-Bypass': BYPASS_SECRET }
+    }), { clientIP: '203.0.113.9' })).toBe(false);
+    expect(maintenance.blocks(new Request('https://example.com/', {
+      headers: { 'X-Maintenance-Bypass': 'wrong-secret-value-000' }
+    }), { clientIP: '203.0.113.9' })).toBe(true);
+  });
+
+  it('should validate updates and never echo header secrets', () => {
+    expect(() => maintenance.update({ retryAfter: 0 })).toThrow('retryAfter');
+    expect(() => maintenance.update({ allowHeaders: { 'X-Bypass': 'short' } })).toThrow('16 characters');
+
+    maintenance.update({ allowHeaders: { 'X-Maintenance-Bypass': BYPASS_SECRET } });
+    expect(JSON.stringify(maintenance.getStatus())).not.toContain(BYPASS_SECRET);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { OutlierDetector } from '../src/monitoring/outlierDetector.js';
+
+const ORIGINS = Array.from({ length: 4 }, (_, i) => `https://origin${i + 1}.example.com`);
+
+function stats(errorRate, averageLatency = 100) {
+  return { requests: 100, errorRate, averageLatency, sufficient: true };
+}
+
+describe('OutlierDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new OutlierDetector({
+      ORIGINS,
+      OUTLIER_CONSECUTIVE_5XX: 3,
+      OUTLIER_BASE_EJECTION_TIME: 1000,
+      OUTLIER_MAX_EJECTION_TIME: 2500
+    });
+  });
+
+  it('should eject after consecutive failures for longer on each repeat offense', () => {
+    detector.recordResult(ORIGINS[0], true, 0);
+    detector.recordResult(ORIGINS[0], true, 0);
+    detector.recordResult(ORIGINS[0], false, 0);
+    detector.recordResult(ORIGINS[0], true, 0);
+    expect(detector.isEjected(ORIGINS[0], 0)).toBe(false);
+
+    [1, 2, 3].forEach(() => detector.recordResult(ORIGINS[0], true, 0));
+    expect(detector.isEjected(ORIGINS[0], 999)).toBe(true);
+    expect(detector.restoreExpired(1000)).toEqual([ORIGINS[0]]);
+
+    // Second offense: 2x the base time; third: capped at the maximum
+    [1, 2, 3].forEach(() => detector.recordResult(ORIGINS[0], true, 1000));
+    expect(detector.isEjected(ORIGINS[0], 2999)).toBe(true);
+    expect(detector.isEjected(ORIGINS[0], 3000)).toBe(false);
+    detector.restoreExpired(3000);
+    [1, 2, 3].forEach(() => detector.recordResult(ORIGINS[0], true, 3000));
+    expect(detector.getStatus(3000).ejected[0]).toMatchObject({ origin: ORIGINS[0], reason: 'consecutive_5xx', offense: 3 });
+    expect(detector.isEjected(ORIGINS[0], 5499)).toBe(true);
+    expect(detector.isEjected(ORIGINS[0], 5500)).toBe(false);
+  });
+
+  it('should eject origins whose success rate or latency deviates from the pool', () => {
+    detector.stdevFactor = 1.5;
+    detector.evaluate(() => ({
+      [ORIGINS[0]]: stats(0.01),
+      [ORIGINS[1]]: stats(0.02),
+      [ORIGINS[2]]: stats(0.01),
+      [ORIGINS[3]]: stats(0.4)
+    }), 0);
+
+    expect(detector.getEjected(0)).toEqual([ORIGINS[3]]);
+    expect(detector.getStatus(0).ejected[0]).toMatchObject({ reason: 'success_rate', successRate: 0.6 });
+
+    detector.restoreExpired(1000);
+    detector.evaluate(() => ({
+      [ORIGINS[0]]: stats(0, 100),
+      [ORIGINS[1]]: stats(0, 110),
+      [ORIGINS[2]]: stats(0, 90),
+      [ORIGINS[3]]: stats(0, 900)
+    }), 20000);
+    expect(detector.getStatus(20000).ejected[0]).toMatchObject({ origin: ORIGINS[3], reason: 'latency' });
+  });
+
+  it('should never eject more than the maximum ejection percentage', () => {
+    ORIGINS.forEach(origin => [1, 2, 3].forEach(() => detector.recordResult(origin, true, 0)));
+
+    // 50% of 4 origins
+    expect(detector.getEjected(0)).toEqual(ORIGINS.slice(0, 2));
+
+    const lone = new OutlierDetector({ ORIGINS: ORIGINS.slice(0, 1), OUTLIER_MAX_EJECTION_PERCENT: 100 });
+    expect(lone.eject(ORIGINS[0], 'consecutive_5xx', {}, 0)).toBe(false);
+  });
+});
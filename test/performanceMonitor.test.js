@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PerformanceMonitor } from '../src/monitoring/performanceMonitor.js';
+import { MonitorClient } from '../src/monitoring/monitorClient.js';
+
+const ORIGIN = 'https://origin1.example.com';
+
+function createState() {
+  const state = {
+    ready: null,
+    storage: {
+      get: vi.fn(async () => new Map()),
+      list: vi.fn(async () => new Map()),
+      put: vi.fn(async () => {})
+    },
+    blockConcurrencyWhile: (callback) => {
+      state.ready = callback();
+      return state.ready;
+    }
+  };
+  return state;
+}
+
+function batch(operations) {
+  return {
+    method: 'POST',
+    url: 'https://performance-monitor/batch',
+    json: async () => ({ operations })
+  };
+}
+
+function lockRequest(path, body) {
+  return {
+    method: 'POST',
+    url: `https://performance-monitor/locks/${path}`,
+    json: async () => body
+  };
+}
+
+async function lock(monitor, path, body) {
+  return (await monitor.fetch(lockRequest(path, body))).json();
+}
+
+function report(isolate, counts, ttl = 30000) {
+  return { type: 'connections', isolate, counts, ttl };
+}
+
+describe('PerformanceMonitor', () => {
+  let state;
+  let monitor;
+
+  beforeEach(async () => {
+    state = createState();
+    monitor = new PerformanceMonitor(state, {});
+    await state.ready;
+  });
+
+  it('should keep the newest health result when isolates report out of order', async () => {
+    const newer = { timestamp: 2000, health: { healthy: true } };
+    const older = { timestamp: 1000, health: { healthy: false } };
+
+    await monitor.fetch(batch([
+      { type: 'health', origin: ORIGIN, entry: newer, metrics: { totalChecks: 2 } },
+      { type: 'health', origin: ORIGIN, entry: older, metrics: { totalChecks: 1 } }
+    ]));
+
+    expect(monitor.getSnapshot().health[ORIGIN]).toEqual(newer);
+    expect(monitor.getSnapshot().healthMetrics[ORIGIN]).toEqual({ totalChecks: 2 });
+  });
+
+  it('should add analytics deltas, including nested counters', async () => {
+    await monitor.fetch(batch([
+      { type: 'analytics', delta: { requests: 2, countries: { US: 2 } } },
+      { type: 'analytics', delta: { requests: 1, errors: 1, countries: { US: 1, DE: 1 } } }
+    ]));
+
+    const { analytics } = monitor.getSnapshot();
+    expect(analytics.requests).toBe(3);
+    expect(analytics.errors).toBe(1);
+    expect(analytics.countries).toEqual({ US: 3, DE: 1 });
+  });
+
+  it('should write only the state a batch changed', async () => {
+    await monitor.fetch(batch([{ type: 'latency', origin: ORIGIN, latency: 10, timestamp: 0 }]));
+
+    expect(state.storage.put).toHaveBeenCalledTimes(1);
+    expect(Object.keys(state.storage.put.mock.calls[0][0])).toEqual(['latencyHistory']);
+
+    // Connection reports live in memory only
+    await monitor.fetch(batch([report('isolate-a', { [ORIGIN]: 1 })]));
+    await monitor.fetch(batch([]));
+    expect(state.storage.put).toHaveBeenCalledTimes(1);
+  });
+
+  describe('coalescing locks', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should hand the released result to waiting and late isolates', async () => {
+      expect(await lock(monitor, 'acquire', { key: 'k', ttl: 10000 })).toEqual({ acquired: true });
+
+      const waiting = lock(monitor, 'acquire', { key: 'k', ttl: 10000, wait: 5000 });
+      await lock(monitor, 'release', { key: 'k', result: { status: 200 }, shareFor: 5000 });
+
+      expect(await waiting).toEqual({ acquired: false, result: { status: 200 } });
+      expect(await lock(monitor, 'acquire', { key: 'k', ttl: 10000 })).toEqual({ acquired: false, result: { status: 200 } });
+    });
+
+    it('should send waiters to the origin when the holder has nothing to share', async () => {
+      await lock(monitor, 'acquire', { key: 'k', ttl: 10000 });
+      const waiting = lock(monitor, 'acquire', { key: 'k', ttl: 10000, wait: 5000 });
+      await lock(monitor, 'release', { key: 'k', shareFor: 5000 });
+
+      expect(await waiting).toEqual({ acquired: false, unshared: true });
+    });
+
+    it('should stop waiting at the deadline and let the lock be retaken after a failed holder', async () => {
+      vi.useFakeTimers();
+      await lock(monitor, 'acquire', { key: 'k', ttl: 10000 });
+
+      const waiting = lock(monitor, 'acquire', { key: 'k', ttl: 10000, wait: 1000 });
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(await waiting).toEqual({ acquired: false });
+      expect(monitor.lockWaiters.get('k').size).toBe(0);
+
+      await lock(monitor, 'release', { key: 'k' });
+      expect(await lock(monitor, 'acquire', { key: 'k', ttl: 10000 })).toEqual({ acquired: true });
+    });
+  });
+
+  describe('connection counts', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should sum the latest report of each isolate, leaving out the asking one', async () => {
+      await monitor.fetch(batch([
+        report('isolate-a', { [ORIGIN]: 5 }),
+        report('isolate-b', { [ORIGIN]: 2 })
+      ]));
+      await monitor.fetch(batch([report('isolate-a', { [ORIGIN]: 1 })]));
+
+      expect(monitor.getSnapshot().connectionCounts).toEqual({ [ORIGIN]: 3 });
+      expect(monitor.getSnapshot('isolate-b').connectionCounts).toEqual({ [ORIGIN]: 1 });
+    });
+
+    it('should stop counting an isolate that no longer reports', async () => {
+      vi.useFakeTimers();
+      await monitor.fetch(batch([report('evicted', { [ORIGIN]: 4 }), report('live', { [ORIGIN]: 1 })]));
+
+      vi.advanceTimersByTime(20000);
+      await monitor.fetch(batch([report('live', { [ORIGIN]: 1 })]));
+      vi.advanceTimersByTime(10000);
+
+      expect(monitor.getSnapshot().connectionCounts).toEqual({ [ORIGIN]: 1 });
+      expect(monitor.connectionReports.has('evicted')).toBe(false);
+    });
+  });
+});
+
+describe('MonitorClient batching', () => {
+  let stub;
+  let client;
+
+  beforeEach(() => {
+    stub = { fetch: vi.fn(async () => new Response('{}', { status: 200 })) };
+    const namespace = { idFromName: name => name, get: () => stub };
+    client = new MonitorClient(namespace, { flushInterval: 1000, batchSize: 10 });
+  });
+
+  it('should send at most one batch per interval unless the batch is full', async () => {
+    client.enqueue({ type: 'latency', origin: ORIGIN, latency: 10, timestamp: 0 });
+    await client.flushIfDue();
+    client.enqueue({ type: 'latency', origin: ORIGIN, latency: 12, timestamp: 0 });
+    await client.flushIfDue();
+    expect(stub.fetch).toHaveBeenCalledTimes(1);
+
+    for (let i = 0; i < 9; i++) {
+      client.enqueue({ type: 'latency', origin: ORIGIN, latency: i, timestamp: 0 });
+    }
+    await client.flushIfDue();
+    expect(stub.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should send only the latest connection report and sum analytics deltas', async () => {
+    client.enqueue({ type: 'connections', counts: { [ORIGIN]: 1 } });
+    client.enqueue({ type: 'connections', counts: { [ORIGIN]: 0, 'https://origin2.example.com': 1 } });
+    client.enqueue({ type: 'analytics', delta: { requests: 1, statusCodes: { 200: 1 } } });
+    client.enqueue({ type: 'analytics', delta: { requests: 1, statusCodes: { 200: 1 } } });
+    await client.flush();
+
+    const { operations } = JSON.parse(stub.fetch.mock.calls[0][1].body);
+    expect(operations).toEqual([
+      {
+        type: 'connections',
+        counts: { [ORIGIN]: 0, 'https://origin2.example.com': 1 },
+        isolate: client.isolateId,
+        ttl: 30000
+      },
+      { type: 'analytics', delta: { requests: 2, statusCodes: { 200: 2 } } }
+    ]);
+  });
+
+  it('should ask for the shared state without its own connection counts', async () => {
+    await client.getSnapshot();
+
+    expect(stub.fetch.mock.calls[0][0]).toBe(`https://performance-monitor/state?isolate=${client.isolateId}`);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RateLimiter } from '../src/security/rateLimiter.js';
+import { SlidingWindowCounter } from '../src/security/slidingWindowCounter.js';
+
+describe('SlidingWindowCounter', () => {
+  let counter;
+
+  beforeEach(() => {
+    counter = new SlidingWindowCounter();
+  });
+
+  it('should reject requests over the limit within a window', () => {
+    const now = 60000;
+    const results = [1, 2, 3, 4].map(() => counter.hit('client', 3, 60000, now));
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBe(0);
+    expect(results[3].retryAfter).toBeGreaterThan(0);
+  });
+
+  it('should weight the previous window by its remaining overlap', () => {
+    [1, 2, 3, 4].forEach(() => counter.hit('client', 4, 60000, 60000));
+
+    // Halfway into the next window half of the previous four still count
+    const halfway = counter.hit('client', 4, 60000, 150000);
+    expect(halfway.allowed).toBe(true);
+    expect(halfway.remaining).toBe(1);
+  });
+
+  it('should prune windows that no longer contribute', () => {
+    counter.hit('client', 3, 1000, 1000);
+    counter.prune(10000);
+
+    expect(counter.windows.size).toBe(0);
+  });
+});
+
+describe('RateLimiter', () => {
+  const context = { requestId: 'test-123', clientIP: '203.0.113.7' };
+  const config = {
+    RATE_LIMIT_ENABLED: true,
+    RATE_LIMIT_REQUESTS: 100,
+    RATE_LIMIT_WINDOW: 60,
+    RATE_LIMIT_RULES: [{ pathPrefix: '/api/login', limit: 2, window: 60 }],
+    RATE_LIMIT_KEY_HEADER: 'X-API-Key'
+  };
+
+  it('should do nothing when disabled', async () => {
+    const limiter = new RateLimiter({});
+
+    expect(await limiter.check(new Request('https://example.com/'), context)).toBeNull();
+  });
+
+  it('should apply the longest matching path rule', async () => {
+    const limiter = new RateLimiter(config);
+    const request = new Request('https://example.com/api/login');
+
+    await limiter.check(request, context);
+    await limiter.check(request, context);
+    const rejected = await limiter.check(request, context);
+    const otherPath = await limiter.check(new Request('https://example.com/home'), context);
+
+    expect(rejected.allowed).toBe(false);
+    expect(rejected.rule.pathPrefix).toBe('/api/login');
+    expect(otherPath.allowed).toBe(true);
+    expect(otherPath.limit).toBe(100);
+  });
+
+  it('should count keyed requests against both the API key and the IP', async () => {
+    const limiter = new RateLimiter(config);
+    const withKey = new Request('https://example.com/api/login', { headers: { 'X-API-Key': 'secret-key' } });
+
+    await limiter.check(withKey, context);
+    await limiter.check(withKey, context);
+    const byIp = await limiter.check(new Request('https://example.com/api/login'), context);
+    const sameKeyElsewhere = await limiter.check(withKey, { ...context, clientIP: '198.51.100.9' });
+
+    expect(byIp.allowed).toBe(false);
+    expect(sameKeyElsewhere.allowed).toBe(false);
+    expect((await limiter.identify(withKey, context)).join(' ')).not.toContain('secret-key');
+  });
+
+  it('should not reset the IP window for a client that sends a new key every time', async () => {
+    const limiter = new RateLimiter(config);
+    const results = [];
+    for (const key of ['a', 'b', 'c']) {
+      results.push(await limiter.check(new Request('https://example.com/api/login', { headers: { 'X-API-Key': key } }), context));
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+  });
+
+  it('should count in the shard Durable Object and fall back locally on failure', async () => {
+    const stub = { fetch: vi.fn().mockRejectedValue(new Error('unreachable')) };
+    const namespace = { idFromName: vi.fn(name => name), get: vi.fn(() => stub) };
+    const limiter = new RateLimiter(config, namespace);
+
+    const result = await limiter.check(new Request('https://example.com/'), context);
+
+    expect(namespace.idFromName).toHaveBeenCalledWith(`ratelimit:${limiter.shardFor('ip:203.0.113.7')}`);
+    expect(result.allowed).toBe(true);
+  });
+
+  it('should give Retry-After and RateLimit headers for the 429 page', () => {
+    const limiter = new RateLimiter(config);
+    const headers = limiter.getRejectionHeaders({
+      allowed: false,
+      limit: 2,
+      remaining: 0,
+      reset: 30,
+      retryAfter: 12,
+      rule: config.RATE_LIMIT_RULES[0]
+    });
+
+    expect(headers['Retry-After']).toBe('12');
+    expect(headers['RateLimit-Remaining']).toBe('0');
+    expect(headers['RateLimit-Policy']).toBe('2;w=60');
+    expect(headers['X-Ping-Booster']).toBe('rate-limited');
+  });
+});
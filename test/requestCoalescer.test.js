@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RequestCoalescer } from '../src/cache/requestCoalescer.js';
+import { CacheManager } from '../src/cache/cacheManager.js';
+
+describe('RequestCoalescer', () => {
+  let coalescer;
+  let mockCacheManager;
+  let mockMonitor;
+  let store;
+  const url = 'https://example.com/popular';
+  const request = new Request(url);
+  let context;
+
+  function slowFetcher(headers = {}) {
+    return vi.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { response: new Response('body', { status: 200, headers }), targetOrigin: 'https://origin1.example.com' };
+    });
+  }
+
+  beforeEach(() => {
+    context = { requestId: 'test-123', waitUntil: () => {} };
+    const cacheManager = new CacheManager(null, {});
+    mockCacheManager = {
+      get: vi.fn(async () => null),
+      isCacheable: response => cacheManager.isCacheable(response)
+    };
+    mockMonitor = {
+      enabled: true,
+      acquireLock: vi.fn(async () => ({ acquired: true })),
+      releaseLock: vi.fn(async () => {})
+    };
+    store = vi.fn(async () => true);
+    coalescer = new RequestCoalescer({}, { cacheManager: mockCacheManager, monitor: mockMonitor });
+  });
+
+  it('should share one origin fetch between concurrent misses', async () => {
+    const fetcher = slowFetcher();
+
+    const results = await Promise.all([
+      coalescer.run('cache:key', request, context, fetcher, store),
+      coalescer.run('cache:key', request, context, fetcher, store),
+      coalescer.run('cache:key', request, context, fetcher, store)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(store).toHaveBeenCalledTimes(1);
+    expect(results.map(r => r.coalesced)).toEqual([null, 'isolate', 'isolate']);
+    expect(results.every(r => r.targetOrigin === 'https://origin1.example.com')).toBe(true);
+    expect(coalescer.getStats().inFlight).toBe(0);
+  });
+
+  it('should propagate origin errors to every waiter', async () => {
+    const fetcher = vi.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new Error('origin down');
+    });
+
+    const results = await Promise.allSettled([
+      coalescer.run('cache:key', request, context, fetcher, store),
+      coalescer.run('cache:key', request, context, fetcher, store)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(results.every(r => r.status === 'rejected')).toBe(true);
+  });
+
+  it('should never share responses to requests with credentials', async () => {
+    const fetcher = slowFetcher();
+    const withCookie = new Request(url, { headers: { Cookie: 'session=abc' } });
+    const withAuthorization = new Request(url, { headers: { Authorization: 'Bearer token' } });
+
+    const results = await Promise.all([
+      coalescer.run('cache:key', withCookie, context, fetcher, store),
+      coalescer.run('cache:key', withAuthorization, context, fetcher, store)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(results.map(r => r.coalesced)).toEqual([null, null]);
+  });
+
+  it('should send waiters to the origin when the response is not cacheable', async () => {
+    const fetcher = slowFetcher({ 'Set-Cookie': 'session=abc', 'Cache-Control': 'private' });
+
+    const results = await Promise.all([
+      coalescer.run('cache:key', request, context, fetcher, store),
+      coalescer.run('cache:key', request, context, fetcher, store)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(store).not.toHaveBeenCalled();
+    expect(results.map(r => r.coalesced)).toEqual([null, null]);
+    expect(results[0].response).not.toBe(results[1].response);
+  });
+
+  it('should hand the leader the origin response without waiting for the copy', async () => {
+    const origin = new Response('body', { status: 200 });
+    let finishCopy;
+    origin.clone = () => ({
+      status: 200,
+      statusText: 'OK',
+      headers: new Headers(),
+      arrayBuffer: () => new Promise(resolve => {
+        finishCopy = resolve;
+      })
+    });
+    const fetcher = vi.fn(async () => ({ response: origin, targetOrigin: 'https://origin1.example.com' }));
+
+    const result = await coalescer.run('cache:key', request, context, fetcher, store);
+    expect(result.response).toBe(origin);
+    expect(store).not.toHaveBeenCalled();
+
+    // Later misses still join until the copy is complete
+    const waiter = coalescer.run('cache:key', request, context, fetcher, store);
+    finishCopy(new ArrayBuffer(4));
+    expect((await waiter).coalesced).toBe('isolate');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(store).toHaveBeenCalledTimes(1);
+    expect(coalescer.getStats().inFlight).toBe(0);
+  });
+
+  describe('across isolates', () => {
+    const peerResult = { body: [104, 105], status: 200, statusText: 'OK', headers: [['content-type', 'text/plain']] };
+    let background;
+
+    beforeEach(() => {
+      coalescer = new RequestCoalescer({ COALESCE_CROSS_ISOLATE: true, COALESCE_WAIT_TIMEOUT: 2000 }, {
+        cacheManager: mockCacheManager,
+        monitor: mockMonitor
+      });
+      background = [];
+      context.waitUntil = promise => background.push(promise);
+    });
+
+    it('should serve the response the lock holder released it with', async () => {
+      mockMonitor.acquireLock.mockResolvedValue({ acquired: false, result: peerResult });
+      const fetcher = vi.fn();
+
+      const result = await coalescer.run('cache:key', request, context, fetcher, store);
+
+      expect(mockMonitor.acquireLock).toHaveBeenCalledWith('cache:key', 4000, 2000);
+      expect(fetcher).not.toHaveBeenCalled();
+      expect(mockCacheManager.get).not.toHaveBeenCalled();
+      expect(result.coalesced).toBe('cross_isolate');
+      expect(new Uint8Array(result.response.body)).toEqual(new Uint8Array([104, 105]));
+      expect(result.response.headers.get('content-type')).toBe('text/plain');
+    });
+
+    it('should release the lock with the response once it is buffered, not after the cache write', async () => {
+      store.mockReturnValue(new Promise(() => {}));
+
+      await coalescer.run('cache:key', request, context, slowFetcher(), store);
+      // background[0] is the cache write, which never finishes
+      await Promise.all(background.slice(1));
+
+      expect(mockMonitor.releaseLock).toHaveBeenCalledWith('cache:key', {
+        result: expect.objectContaining({ status: 200, body: [] }),
+        shareFor: 2000
+      });
+    });
+
+    it('should not pass large bodies through the lock', async () => {
+      const origin = new Response('body', { status: 200 });
+      origin.clone = () => Object.assign(new Response(null, { status: 200 }), {
+        arrayBuffer: async () => new ArrayBuffer(2 * 1024 * 1024)
+      });
+
+      await coalescer.run('cache:key', request, context, async () => ({ response: origin }), store);
+      await Promise.all(background);
+
+      expect(mockMonitor.releaseLock).toHaveBeenCalledWith('cache:key', { result: null, shareFor: 2000 });
+      expect(store).toHaveBeenCalledTimes(1);
+    });
+
+    it('should go to the origin when the holder had nothing to share', async () => {
+      mockMonitor.acquireLock.mockResolvedValue({ acquired: false, unshared: true });
+      const fetcher = slowFetcher();
+
+      const result = await coalescer.run('cache:key', request, context, fetcher, store);
+
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(mockMonitor.releaseLock).not.toHaveBeenCalled();
+      expect(result.coalesced).toBeNull();
+    });
+
+    it('should take the lock over when the holder failed', async () => {
+      mockMonitor.acquireLock
+        .mockResolvedValueOnce({ acquired: false })
+        .mockResolvedValueOnce({ acquired: true });
+      const fetcher = slowFetcher();
+
+      await coalescer.run('cache:key', request, context, fetcher, store);
+      await Promise.all(background);
+
+      expect(mockMonitor.acquireLock).toHaveBeenCalledTimes(2);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(mockMonitor.releaseLock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should tell peers when the leader\'s response is not cacheable', async () => {
+      await coalescer.run('cache:key', request, context, slowFetcher({ 'Cache-Control': 'no-store' }), store);
+
+      expect(mockMonitor.releaseLock).toHaveBeenCalledWith('cache:key', { shareFor: 2000 });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RequestHedger } from '../src/routing/requestHedger.js';
+import { LoadBalancer } from '../src/routing/loadBalancer.js';
+
+// Resolves after `delay` ms unless aborted first
+function delayedResponse(delay, status = 200) {
+  return (signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(new Response('ok', { status })), delay);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+    });
+  });
+}
+
+describe('RequestHedger', () => {
+  let hedger;
+  let mockLoadBalancer;
+  const context = { requestId: 'test-123' };
+  const primary = 'https://origin1.example.com';
+  const secondary = 'https://origin2.example.com';
+
+  beforeEach(() => {
+    mockLoadBalancer = {
+      getLatencyPercentile: vi.fn(() => null),
+      getHedgeOrigin: vi.fn(async () => secondary),
+      releaseConnection: vi.fn(),
+      releaseProbe: vi.fn(),
+      releaseOrigin: vi.fn()
+    };
+    hedger = new RequestHedger({ HEDGING_ENABLED: true, HEDGE_DELAY: 20 }, mockLoadBalancer);
+  });
+
+  it('should only hedge idempotent methods', () => {
+    expect(hedger.isHedgeable({ method: 'GET' })).toBe(true);
+    expect(hedger.isHedgeable({ method: 'POST' })).toBe(false);
+  });
+
+  it('should derive the delay from latency history when not fixed', () => {
+    const derived = new RequestHedger({ HEDGING_ENABLED: true, FAILOVER_TIMEOUT: 4000 }, mockLoadBalancer);
+    expect(derived.getDelay(primary)).toBe(1000);
+
+    mockLoadBalancer.getLatencyPercentile.mockReturnValue(180);
+    expect(derived.getDelay(primary)).toBe(180);
+  });
+
+  it('should not hedge when the primary responds in time', async () => {
+    const send = vi.fn((origin, signal) => delayedResponse(5)(signal));
+
+    const result = await hedger.fetch(primary, context, send);
+
+    expect(result.origin).toBe(primary);
+    expect(result.hedged).toBe(false);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let the hedge win and abort the slow primary', async () => {
+    const signals = {};
+    const send = (origin, signal) => {
+      signals[origin] = signal;
+      return delayedResponse(origin === primary ? 200 : 5)(signal);
+    };
+
+    const result = await hedger.fetch(primary, context, send);
+
+    expect(result.origin).toBe(secondary);
+    expect(result.hedged).toBe(true);
+    expect(result.hedgeWon).toBe(true);
+    expect(signals[primary].aborted).toBe(true);
+    expect(signals[primary].reason).toBe('hedge-lost');
+    expect(mockLoadBalancer.releaseProbe).toHaveBeenCalledWith(primary);
+  });
+
+  it('should reject immediately when the primary fails before hedging', async () => {
+    const send = () => Promise.reject(new Error('connection refused'));
+
+    await expect(hedger.fetch(primary, context, send)).rejects.toThrow('connection refused');
+    expect(mockLoadBalancer.getHedgeOrigin).not.toHaveBeenCalled();
+  });
+
+  it('should free the probe slot of a half-open origin that loses the race', async () => {
+    const loadBalancer = new LoadBalancer([primary, secondary], { isOriginHealthy: () => true }, {
+      CIRCUIT_FAILURE_THRESHOLD: 1,
+      CIRCUIT_OPEN_DURATION: 10
+    });
+    const realHedger = new RequestHedger({ HEDGING_ENABLED: true, HEDGE_DELAY: 20 }, loadBalancer);
+
+    loadBalancer.recordOutcome(primary, false, 'timeout');
+    await new Promise(resolve => setTimeout(resolve, 15));
+    expect(loadBalancer.circuitBreaker.isAvailable(primary)).toBe(true);
+    expect(loadBalancer.acquireOrigin(primary)).toBe(primary);
+    expect(loadBalancer.circuitBreaker.isAvailable(primary)).toBe(false);
+
+    const result = await realHedger.fetch(primary, context, (origin, signal) =>
+      delayedResponse(origin === primary ? 200 : 5)(signal));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(result.origin).toBe(secondary);
+    expect(loadBalancer.circuitBreaker.getState(primary)).toBe('half_open');
+    expect(await loadBalancer.getHealthyOrigins()).toContain(primary);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { RequestTrace } from '../src/analytics/requestTrace.js';
+
+describe('RequestTrace', () => {
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const parentSpanId = '00f067aa0ba902b7';
+
+  it('should continue a valid incoming traceparent and keep tracestate', () => {
+    const request = new Request('https://example.com/', {
+      headers: { traceparent: `00-${traceId}-${parentSpanId}-01`, tracestate: 'vendor=abc' }
+    });
+
+    const trace = RequestTrace.fromRequest(request);
+    const headers = new Headers();
+    trace.inject(headers);
+
+    expect(trace.traceId).toBe(traceId);
+    expect(trace.parentSpanId).toBe(parentSpanId);
+    expect(headers.get('traceparent')).toBe(`00-${traceId}-${trace.spanId}-01`);
+    expect(headers.get('tracestate')).toBe('vendor=abc');
+  });
+
+  it('should start a new trace for invalid traceparent values', () => {
+    const invalid = [
+      'garbage',
+      `ff-${traceId}-${parentSpanId}-01`,
+      `00-${'0'.repeat(32)}-${parentSpanId}-01`,
+      `00-${traceId}-${'0'.repeat(16)}-01`,
+      `00-${traceId}-${parentSpanId}-01-extra`
+    ];
+
+    invalid.forEach(value => {
+      const trace = RequestTrace.fromRequest(new Request('https://example.com/', {
+        headers: { traceparent: value, tracestate: 'vendor=abc' }
+      }));
+      expect(trace.traceId).not.toBe(traceId);
+      expect(trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(trace.parentSpanId).toBeNull();
+      expect(trace.tracestate).toBeNull();
+    });
+  });
+
+  it('should report each measured stage in a single-line Server-Timing value', async () => {
+    const trace = new RequestTrace();
+
+    await trace.measure('cache-lookup', async () => null, hit => (hit ? 'hit' : 'miss'));
+    await trace.measure('origin-select', async () => 'https://origin1.example.com');
+
+    const header = trace.serverTiming(false);
+    expect(header).not.toContain('\n');
+    expect(header).toMatch(/^cache-lookup;dur=\d+;desc="miss", origin-select;dur=\d+, cache;desc=miss, edge;dur=\d+$/);
+  });
+
+  it('should wait for background stages before exporting', async () => {
+    const trace = new RequestTrace();
+    trace.track('cache-write', new Promise(resolve => setTimeout(resolve, 10)));
+
+    trace.serverTiming(false);
+    await trace.settle(1000);
+
+    const exported = trace.toJSON();
+    expect(exported.spans.map(span => span.name)).toEqual(['cache-write']);
+    expect(exported.traceId).toBe(trace.traceId);
+  });
+
+  it('should list background stages still running as pending metrics', () => {
+    const trace = new RequestTrace();
+    trace.track('cache-write', new Promise(() => {}));
+    trace.measureBody('origin-body', new Response(new ReadableStream()));
+
+    const header = trace.serverTiming(true);
+    expect(header).toMatch(/^cache-write;dur=\d+;desc="pending", origin-body;dur=\d+;desc="pending", cache;desc=hit, edge;dur=\d+$/);
+  });
+
+  it('should finish the origin body stage when the client cancels the body', async () => {
+    const trace = new RequestTrace();
+    const origin = new ReadableStream({
+      pull(controller) {
+        controller.enqueue(new Uint8Array(16));
+      }
+    });
+
+    const response = trace.measureBody('origin-body', new Response(origin, { status: 200 }));
+    const reader = response.body.getReader();
+    await reader.read();
+    await reader.cancel();
+
+    await Promise.all(trace.pending);
+    expect(trace.spans).toEqual([expect.objectContaining({ name: 'origin-body', description: 'cancelled' })]);
+    expect(trace.serverTiming(false)).toMatch(/^origin-body;dur=\d+;desc="cancelled", cache;desc=miss/);
+  });
+});
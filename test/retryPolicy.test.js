@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { RetryPolicy } from '../src/routing/retryPolicy.js';
+
+function streamOf(...chunks) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+async function readText(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += new TextDecoder().decode(chunk);
+  }
+  return text;
+}
+
+describe('RetryPolicy', () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new RetryPolicy({
+      RETRY_MAX_ATTEMPTS: 3,
+      RETRY_BUDGET: 1000,
+      RETRY_STATUSES: [502, 503],
+      RETRY_MAX_BODY_SIZE: 8
+    });
+  });
+
+  it('should only retry idempotent methods or requests with an Idempotency-Key', () => {
+    expect(policy.isRetryable(new Request('https://example.com/', { method: 'PUT' }))).toBe(true);
+    expect(policy.isRetryable(new Request('https://example.com/', { method: 'POST' }))).toBe(false);
+    expect(policy.isRetryable(new Request('https://example.com/', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': 'order-42' }
+    }))).toBe(true);
+    expect(policy.isRetryableStatus(503)).toBe(true);
+    expect(policy.isRetryableStatus(500)).toBe(false);
+  });
+
+  it('should buffer small bodies so every attempt can resend them', async () => {
+    const request = new Request('https://example.com/', { method: 'PUT', body: streamOf('ab', 'cd') });
+
+    const { body, replayable } = await policy.prepare(request);
+
+    expect(replayable).toBe(true);
+    expect(new TextDecoder().decode(body)).toBe('abcd');
+  });
+
+  it('should stream oversized bodies through intact without retrying them', async () => {
+    const request = new Request('https://example.com/', { method: 'PUT', body: streamOf('12345', '67890', 'x') });
+
+    const { body, replayable } = await policy.prepare(request);
+
+    expect(replayable).toBe(false);
+    expect(await readText(body)).toBe('1234567890x');
+  });
+
+  it('should leave non-idempotent bodies untouched', async () => {
+    const stream = streamOf('abc');
+    const request = new Request('https://example.com/', { method: 'POST', body: stream });
+
+    expect(await policy.prepare(request)).toEqual({ body: stream, replayable: false });
+  });
+
+  it('should cap attempts and total time', () => {
+    const deadline = Date.now() + 1000;
+
+    expect(policy.allowsRetry(2, deadline)).toBe(true);
+    expect(policy.allowsRetry(3, deadline)).toBe(false);
+    expect(policy.allowsRetry(1, Date.now() - 1)).toBe(false);
+  });
+});
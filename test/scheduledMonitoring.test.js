@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const ORIGIN = 'https://origin1.example.com';
+
+function createKV() {
+  const values = new Map();
+  return {
+    values,
+    get: vi.fn(async (key, type) => {
+      const value = values.get(key);
+      if (value === undefined) {
+        return null;
+      }
+      return type === 'json' ? JSON.parse(value) : value;
+    }),
+    put: vi.fn(async (key, value) => {
+      values.set(key, value);
+    })
+  };
+}
+
+// A fresh module graph per invocation, like a cron run landing on a cold isolate. Resolves once
+// the worker is loaded, with the running handler in done.
+async function startScheduled(env, scheduledTime = Date.now()) {
+  vi.resetModules();
+  const { default: worker } = await import('../src/index.js');
+  const ctx = { waitUntil: vi.fn() };
+  return { ctx, done: worker.scheduled({ scheduledTime }, env, ctx) };
+}
+
+async function coldScheduled(env, scheduledTime) {
+  return (await startScheduled(env, scheduledTime)).done;
+}
+
+function originState(kv) {
+  return JSON.parse(kv.values.get('health:state')).health[ORIGIN].health.state;
+}
+
+describe('Scheduled monitoring', () => {
+  let kv;
+  let env;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(60 * 60 * 1000);
+    kv = createKV();
+    env = {
+      ORIGINS: JSON.stringify([ORIGIN]),
+      MONITORING_INTERVAL: '60000',
+      HEALTH_RISE: '2',
+      ANALYTICS_STORE: kv
+    };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should keep a down origin down until the rise count passes across cold invocations', async () => {
+    global.fetch.mockResolvedValue(new Response('unavailable', { status: 503 }));
+    await coldScheduled(env);
+    expect(originState(kv)).toBe('down');
+
+    global.fetch.mockResolvedValue(new Response('ok', { status: 200 }));
+    vi.advanceTimersByTime(60000);
+    await coldScheduled(env);
+    expect(originState(kv)).toBe('down');
+
+    vi.advanceTimersByTime(60000);
+    await coldScheduled(env);
+    expect(originState(kv)).toBe('up');
+  });
+});
+
+describe('Scheduled monitoring rounds', () => {
+  const HOUR = 60 * 60 * 1000;
+  let kv;
+
+  function env(interval) {
+    return { ORIGINS: JSON.stringify([ORIGIN]), MONITORING_INTERVAL: String(interval), ANALYTICS_STORE: kv };
+  }
+
+  function persistedRounds() {
+    return kv.put.mock.calls.filter(([key]) => key === 'health:state').length;
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(HOUR);
+    kv = createKV();
+    global.fetch.mockReset();
+    global.fetch.mockImplementation(async () => new Response('ok', { status: 200 }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should run as many rounds as fit in the minute and persist after each one', async () => {
+    const { ctx, done } = await startScheduled(env(20000), HOUR);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(persistedRounds()).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(20000);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(persistedRounds()).toBe(2);
+
+    await vi.advanceTimersByTimeAsync(40000);
+    await done;
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(persistedRounds()).toBe(3);
+    // The handler itself stays open for every round instead of leaving them to waitUntil
+    expect(ctx.waitUntil).not.toHaveBeenCalled();
+  });
+
+  it('should stop early rather than run into the next cron invocation', async () => {
+    // Every check round takes 15 seconds
+    global.fetch.mockImplementation(async () => {
+      vi.setSystemTime(Date.now() + 15000);
+      return new Response('ok', { status: 200 });
+    });
+
+    const { done } = await startScheduled(env(20000), HOUR);
+    await vi.advanceTimersByTimeAsync(60000);
+    await done;
+
+    // Round one ends at 15s and round two at 50s; a third would start at 70s
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(persistedRounds()).toBe(2);
+  });
+
+  it('should skip minutes for intervals longer than a minute', async () => {
+    await coldScheduled(env(120000), HOUR + 60000);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await coldScheduled(env(120000), HOUR + 120000);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(persistedRounds()).toBe(1);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { SessionAffinity } from '../src/routing/sessionAffinity.js';
+
+const ORIGINS = ['https://origin1.example.com', 'https://origin2.example.com'];
+const SIGNING_KEY = 'affinity-signing-key-0123456789abcdef';
+
+function withCookie(cookie) {
+  return new Request('https://example.com/', { headers: { Cookie: cookie.split(';')[0] } });
+}
+
+describe('SessionAffinity', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should round-trip a signed cookie to the pinned origin', async () => {
+    const affinity = new SessionAffinity({ AFFINITY_MODE: 'cookie', AFFINITY_SIGNING_KEY: SIGNING_KEY, ORIGINS });
+    const cookie = await affinity.createCookie(ORIGINS[1]);
+
+    expect(cookie).not.toContain('origin2');
+    expect(await affinity.read(withCookie(cookie), {})).toEqual({ mode: 'cookie', origin: ORIGINS[1] });
+    expect(await affinity.read(new Request('https://example.com/'), {})).toEqual({ mode: 'cookie', origin: null });
+  });
+
+  it('should ignore tampered and expired cookies', async () => {
+    const affinity = new SessionAffinity({
+      AFFINITY_MODE: 'cookie',
+      AFFINITY_SIGNING_KEY: SIGNING_KEY,
+      AFFINITY_COOKIE_TTL: 60,
+      ORIGINS
+    });
+    const cookie = await affinity.createCookie(ORIGINS[0]);
+    const otherId = affinity.originId(ORIGINS[1]);
+    const tampered = cookie.replace(/pb_affinity=[0-9a-z]+/, `pb_affinity=${otherId}`);
+
+    expect((await affinity.read(withCookie(tampered), {})).origin).toBeNull();
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 61000);
+    expect((await affinity.read(withCookie(cookie), {})).origin).toBeNull();
+  });
+
+  it('should key on a header or the client IP in the alternative modes', async () => {
+    const byHeader = new SessionAffinity({ AFFINITY_MODE: 'header', AFFINITY_HEADER: 'X-Session-ID', ORIGINS });
+    const request = new Request('https://example.com/', { headers: { 'X-Session-ID': 'abc' } });
+    expect(await byHeader.read(request, { clientIP: '192.0.2.1' })).toEqual({ mode: 'header', key: 'abc' });
+
+    const byIp = new SessionAffinity({ AFFINITY_MODE: 'ip', ORIGINS });
+    expect(await byIp.read(request, { clientIP: '192.0.2.1' })).toEqual({ mode: 'ip', key: '192.0.2.1' });
+  });
+
+  it('should stay off when cookie mode has no signing key', async () => {
+    const affinity = new SessionAffinity({ AFFINITY_MODE: 'cookie', ORIGINS });
+    expect(await affinity.read(new Request('https://example.com/'), {})).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocketProxy } from '../src/routing/websocketProxy.js';
+import { DEBUG_HEADER } from '../src/admin/debugMode.js';
+
+const ORIGIN = 'https://origin1.example.com';
+
+// Enough of the runtime's WebSocket for the bridge: listeners, send, close and accept
+class FakeSocket {
+  constructor() {
+    this.listeners = {};
+    this.sent = [];
+    this.closed = null;
+    this.accepted = false;
+  }
+
+  accept() {
+    this.accepted = true;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  dispatch(type, event = {}) {
+    (this.listeners[type] || []).forEach(listener => listener(event));
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close(code, reason) {
+    if (this.closed) {
+      throw new Error('WebSocket already closed');
+    }
+    this.closed = { code, reason };
+  }
+}
+
+describe('WebSocketProxy', () => {
+  let proxy;
+  let mockLoadBalancer;
+  const context = { requestId: 'test-123', waitUntil: () => {} };
+
+  function upgradeRequest(headers = {}) {
+    return new Request('https://edge.example.com/socket?room=1', {
+      headers: { Upgrade: 'websocket', ...headers }
+    });
+  }
+
+  beforeEach(() => {
+    mockLoadBalancer = {
+      getOptimalOrigin: vi.fn(async () => ORIGIN),
+      recordOutcome: vi.fn(),
+      releaseConnection: vi.fn()
+    };
+    proxy = new WebSocketProxy({ FAILOVER_TIMEOUT: 50 }, {
+      loadBalancer: mockLoadBalancer,
+      analyticsEngine: { recordWebSocketSession: vi.fn(async () => {}) }
+    });
+  });
+
+  it('should not forward the debug header to the origin', async () => {
+    global.fetch.mockResolvedValue(new Response('no upgrade', { status: 426 }));
+
+    const response = await proxy.handle(upgradeRequest({ [DEBUG_HEADER]: 'secret-token', 'X-Custom': 'kept' }), context);
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe(`${ORIGIN}/socket?room=1`);
+    expect(init.headers.has(DEBUG_HEADER)).toBe(false);
+    expect(init.headers.get('X-Custom')).toBe('kept');
+    expect(response.status).toBe(426);
+    expect(mockLoadBalancer.releaseConnection).toHaveBeenCalledWith(ORIGIN);
+  });
+
+  it('should give up on an origin that does not answer the upgrade in time', async () => {
+    global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+
+    await expect(proxy.handle(upgradeRequest(), context)).rejects.toThrow('aborted');
+    expect(mockLoadBalancer.recordOutcome).toHaveBeenCalledWith(ORIGIN, false, 'timeout');
+    expect(mockLoadBalancer.releaseConnection).toHaveBeenCalledWith(ORIGIN);
+  });
+
+  describe('bridging', () => {
+    let pair;
+    let upstream;
+    let analyticsEngine;
+
+    beforeEach(async () => {
+      pair = { 0: new FakeSocket(), 1: new FakeSocket() };
+      global.WebSocketPair = vi.fn(() => pair);
+      upstream = new FakeSocket();
+      global.fetch.mockResolvedValue(Object.assign(new Response(null, { status: 101 }), { webSocket: upstream }));
+      analyticsEngine = { recordWebSocketSession: vi.fn(async () => {}) };
+      proxy = new WebSocketProxy({
+        WEBSOCKET_PING_INTERVAL: 1000,
+        WEBSOCKET_PING_MESSAGE: 'ping',
+        WEBSOCKET_PONG_MESSAGE: 'pong'
+      }, { loadBalancer: mockLoadBalancer, analyticsEngine });
+    });
+
+    afterEach(() => {
+      delete global.WebSocketPair;
+      vi.useRealTimers();
+    });
+
+    it('should forward messages in both directions', async () => {
+      const response = await proxy.handle(upgradeRequest(), context);
+      const server = pair[1];
+
+      expect(response.status).toBe(101);
+      expect(server.accepted && upstream.accepted).toBe(true);
+      expect(mockLoadBalancer.recordOutcome).toHaveBeenCalledWith(ORIGIN, true);
+
+      server.dispatch('message', { data: 'from client' });
+      upstream.dispatch('message', { data: 'from origin' });
+
+      expect(upstream.sent).toEqual(['from client']);
+      expect(server.sent).toEqual(['from origin']);
+    });
+
+    it('should pass close codes through and replace reserved ones', async () => {
+      await proxy.handle(upgradeRequest(), context);
+      pair[1].dispatch('close', { code: 4001, reason: 'bye' });
+
+      expect(upstream.closed).toEqual({ code: 4001, reason: 'bye' });
+      expect(analyticsEngine.recordWebSocketSession).toHaveBeenCalledWith(expect.objectContaining({
+        targetOrigin: ORIGIN,
+        messagesFromClient: 0,
+        closeCode: 4001
+      }));
+
+      // The origin's own close event arrives afterwards; the session is only finished once
+      upstream.dispatch('close', { code: 4001, reason: 'bye' });
+      expect(mockLoadBalancer.releaseConnection).toHaveBeenCalledTimes(1);
+
+      pair = { 0: new FakeSocket(), 1: new FakeSocket() };
+      upstream = new FakeSocket();
+      global.fetch.mockResolvedValue(Object.assign(new Response(null, { status: 101 }), { webSocket: upstream }));
+      await proxy.handle(upgradeRequest(), context);
+      upstream.dispatch('close', { code: 1006, reason: '' });
+
+      expect(pair[1].closed.code).toBe(1000);
+    });
+
+    it('should close both ends with 1011 when either side errors', async () => {
+      await proxy.handle(upgradeRequest(), context);
+      upstream.dispatch('error');
+
+      expect(pair[1].closed).toEqual({ code: 1011, reason: 'Origin connection error' });
+      expect(upstream.closed).toEqual({ code: 1011, reason: 'Origin connection error' });
+      expect(mockLoadBalancer.releaseConnection).toHaveBeenCalledWith(ORIGIN);
+    });
+
+    it('should consume the pong to its ping and record the RTT', async () => {
+      vi.useFakeTimers();
+      await proxy.handle(upgradeRequest(), context);
+      const server = pair[1];
+
+      vi.advanceTimersByTime(1000);
+      expect(upstream.sent).toEqual(['ping']);
+
+      // No second ping while one is in flight
+      vi.advanceTimersByTime(1000);
+      expect(upstream.sent).toEqual(['ping']);
+
+      upstream.dispatch('message', { data: 'pong' });
+      upstream.dispatch('message', { data: 'pong' });
+      expect(server.sent).toEqual(['pong']);
+
+      server.dispatch('close', { code: 1000, reason: '' });
+      const session = analyticsEngine.recordWebSocketSession.mock.calls[0][0];
+      expect(session.rttSamples).toEqual([1000]);
+      expect(session.messagesFromOrigin).toBe(1);
+    });
+  });
+});